@@ -3,22 +3,299 @@
  * Implements copy-to-clipboard functionality and other interactive features
  */
 
-document.addEventListener('DOMContentLoaded', function() {
-    // Initialize performance optimizations first
-    initializePerformanceOptimizations();
+/**
+ * Cleanups registered while setting up the current page, run before the next one
+ */
+const pageCleanups = [];
+
+/**
+ * Content element of the page set up last, so a page is never set up twice
+ */
+let currentPageContent = null;
+
+/**
+ * Incremented for every page, so async work started on a previous page can be dropped
+ */
+let pageGeneration = 0;
+
+/**
+ * Tear down the previous page and set up the one now displayed
+ */
+function handlePageChange() {
+    const content = document.querySelector('.md-content') || document.body;
+    if (content === currentPageContent) return;
+    
+    teardownPage();
+    currentPageContent = content;
+    pageGeneration++;
+    syncDisabledFeaturesAttribute();
+    initializePage();
+}
+
+/**
+ * Copy the page's `disable_features`, rendered by overrides/main.html, onto
+ * <body>. With instant navigation <body> outlives the page, so the attribute
+ * is reset from the new content on every page change.
+ */
+function syncDisabledFeaturesAttribute() {
+    const metadata = document.querySelector('.page-metadata');
+    const value = metadata ? metadata.getAttribute('data-disable-features') : null;
+    
+    if (value) {
+        document.body.setAttribute('data-disable-features', value);
+    } else {
+        document.body.removeAttribute('data-disable-features');
+    }
+}
+
+/**
+ * Registered features by name, in registration order
+ */
+const featureRegistry = new Map();
+
+/**
+ * Names of the features set up on the current page
+ */
+const activeFeatures = new Set();
+
+/**
+ * Register a feature. Features are set up on every page in registration order,
+ * after the features they depend on, unless disabled globally with
+ * `extra.enhanced_features.features` in mkdocs.yml or on the page with
+ * `disable_features` front matter, mirrored as `data-disable-features` on <body>.
+ * A feature whose dependency is disabled is disabled too.
+ * @param {string} name - Feature name, e.g. "breadcrumbs"
+ * @param {Object} options - { init, dependencies, enabled }; `init` may return a cleanup function
+ */
+function registerFeature(name, options) {
+    if (featureRegistry.has(name)) {
+        throw new Error('Feature already registered: ' + name);
+    }
+    
+    featureRegistry.set(name, {
+        name: name,
+        init: options.init,
+        dependencies: options.dependencies || [],
+        enabled: options.enabled !== false
+    });
+    
+    // Features registered by other scripts after the page was set up start right away
+    if (currentPageContent) {
+        initializeFeature(name, getDisabledFeatures());
+    }
+}
+
+/**
+ * Read the names of the features disabled on the current page
+ * @returns {Set} Disabled feature names
+ */
+function getDisabledFeatures() {
+    const disabled = new Set();
+    const globalSettings = getEnhancedFeaturesConfig().features || {};
+    
+    featureRegistry.forEach(function(feature, name) {
+        const setting = globalSettings[name];
+        if (setting === false || (setting === undefined && !feature.enabled)) {
+            disabled.add(name);
+        }
+    });
+    
+    // Set from the `disable_features` front matter by syncDisabledFeaturesAttribute()
+    (document.body.getAttribute('data-disable-features') || '').split(/[,\s]+/).filter(Boolean).forEach(name => disabled.add(name));
+    
+    return disabled;
+}
+
+/**
+ * Check whether a feature is enabled on the current page
+ * @param {string} name - Feature name
+ * @param {Set} disabled - Result of getDisabledFeatures()
+ * @param {Array} path - Features depending on this one, to detect cycles
+ * @returns {boolean} True when the feature and all its dependencies are enabled
+ */
+function isFeatureEnabled(name, disabled = getDisabledFeatures(), path = []) {
+    const feature = featureRegistry.get(name);
+    if (!feature || disabled.has(name) || path.includes(name)) return false;
+    
+    return feature.dependencies.every(dependency => isFeatureEnabled(dependency, disabled, path.concat(name)));
+}
+
+/**
+ * Set up a feature on the current page, after its dependencies
+ * @param {string} name - Feature name
+ * @param {Set} disabled - Result of getDisabledFeatures()
+ */
+function initializeFeature(name, disabled) {
+    const feature = featureRegistry.get(name);
+    if (activeFeatures.has(name) || !isFeatureEnabled(name, disabled)) return;
+    
+    feature.dependencies.forEach(dependency => initializeFeature(dependency, disabled));
+    activeFeatures.add(name);
+    
+    // One failing feature must not keep the others from running
+    try {
+        const cleanup = feature.init();
+        if (typeof cleanup === 'function') {
+            onPageTeardown(cleanup);
+        }
+    } catch (err) {
+        console.warn(`Feature "${name}" failed to initialize: `, err);
+    }
+}
+
+/**
+ * Initialize all enabled features on the current page
+ */
+function initializePage() {
+    const disabled = getDisabledFeatures();
+    
+    activeFeatures.clear();
+    featureRegistry.forEach(function(feature, name) {
+        initializeFeature(name, disabled);
+    });
+}
+
+/**
+ * Functions of the former public API and the features each one sets up
+ */
+const LEGACY_FEATURE_EXPORTS = {
+    initializePerformanceOptimizations: ['performance'],
+    initializeAccessibilityFeatures: ['accessibility'],
+    initializeSearchAndDiscovery: ['search', 'filters', 'recently-updated', 'categorization', 'change-tracking'],
+    initializeCopyButtons: ['copy-buttons'],
+    initializeCodeBlockEnhancements: ['code-blocks'],
+    initializeProgressIndicators: ['progress-indicators'],
+    initializeNavigationEnhancements: ['navigation'],
+    initializeBreadcrumbNavigation: ['breadcrumbs'],
+    initializeScrollProgress: ['scroll-progress'],
+    initializeCrossReferences: ['related-topics'],
+    initializeKeyboardNavigation: ['keyboard-navigation'],
+    initializeLazyLoading: ['performance'],
+    initializeProgressiveLoading: ['performance'],
+    initializeEnhancedSearch: ['search'],
+    initializeContentFiltering: ['filters']
+};
+
+/**
+ * Build the former `initialize*` exports. Each goes through the registry, so
+ * page opt-outs and dependencies apply and a feature already set up on the
+ * page is not set up again.
+ * @returns {Object} Functions by name
+ */
+function createLegacyFeatureExports() {
+    const exports = {};
     
-    // Initialize enhanced features
-    initializeAccessibilityFeatures();
-    initializeCopyButtons();
-    initializeCodeBlockEnhancements();
-    initializeProgressIndicators();
-    initializeNavigationEnhancements();
-    initializeBreadcrumbNavigation();
-    initializeScrollProgress();
+    Object.keys(LEGACY_FEATURE_EXPORTS).forEach(function(name) {
+        exports[name] = function() {
+            // Before the first page is set up, initializePage() runs them anyway
+            if (!currentPageContent) return;
+            
+            const disabled = getDisabledFeatures();
+            LEGACY_FEATURE_EXPORTS[name].forEach(feature => initializeFeature(feature, disabled));
+        };
+    });
     
-    // Initialize search and discovery features
-    initializeSearchAndDiscovery();
-});
+    return exports;
+}
+
+/**
+ * Describe the registered features
+ * @returns {Array} Features as { name, dependencies, enabled, active }
+ */
+function getFeatures() {
+    const disabled = getDisabledFeatures();
+    
+    return Array.from(featureRegistry.values()).map(function(feature) {
+        return {
+            name: feature.name,
+            dependencies: feature.dependencies.slice(),
+            enabled: isFeatureEnabled(feature.name, disabled),
+            active: activeFeatures.has(feature.name)
+        };
+    });
+}
+
+/**
+ * Run and clear the cleanups registered by the current page
+ */
+function teardownPage() {
+    while (pageCleanups.length > 0) {
+        const cleanup = pageCleanups.pop();
+        try {
+            cleanup();
+        } catch (err) {
+            console.warn('Page cleanup failed: ', err);
+        }
+    }
+}
+
+/**
+ * Register a cleanup to run when the reader leaves the current page
+ * @param {Function} cleanup - Cleanup function
+ */
+function onPageTeardown(cleanup) {
+    pageCleanups.push(cleanup);
+}
+
+/**
+ * Add an event listener removed when the reader leaves the current page.
+ * Use it for targets that outlive the page content, such as window and document.
+ * @param {EventTarget} target - Event target
+ * @param {string} type - Event type
+ * @param {Function} listener - Event listener
+ * @param {Object|boolean} options - Listener options
+ */
+function listenUntilTeardown(target, type, listener, options) {
+    target.addEventListener(type, listener, options);
+    onPageTeardown(() => target.removeEventListener(type, listener, options));
+}
+
+/**
+ * Disconnect an observer when the reader leaves the current page
+ * @param {Object} observer - IntersectionObserver or MutationObserver
+ * @returns {Object} The observer
+ */
+function observeUntilTeardown(observer) {
+    onPageTeardown(() => observer.disconnect());
+    return observer;
+}
+
+/**
+ * Wrap a callback of async work so it is skipped once the reader has moved to another page
+ * @param {Function} callback - Callback touching the page
+ * @returns {Function} Callback running only on the page it was created for
+ */
+function forCurrentPage(callback) {
+    const generation = pageGeneration;
+    return function() {
+        if (generation === pageGeneration) {
+            return callback.apply(this, arguments);
+        }
+    };
+}
+
+// Built-in features, in setup order
+registerFeature('performance', { init: initializePerformanceOptimizations });
+registerFeature('accessibility', { init: initializeAccessibilityFeatures });
+registerFeature('copy-buttons', { init: initializeCopyButtons });
+registerFeature('code-blocks', { init: initializeCodeBlockEnhancements });
+registerFeature('code-downloads', { init: initializeCodeDownloads, dependencies: ['code-blocks'] });
+registerFeature('collapsible-code', { init: initializeCollapsibleCodeBlocks });
+registerFeature('progress-indicators', { init: initializeProgressIndicators });
+registerFeature('navigation', { init: initializeNavigationEnhancements });
+registerFeature('breadcrumbs', { init: initializeBreadcrumbNavigation });
+registerFeature('scroll-progress', { init: initializeScrollProgress });
+registerFeature('search', { init: initializeEnhancedSearch });
+registerFeature('categorization', { init: initializeContentCategorization });
+// Filter controls live in the search box; difficulty badges must exist before filters are restored
+registerFeature('filters', { init: initializeContentFiltering, dependencies: ['search', 'categorization'] });
+registerFeature('recently-updated', { init: initializeRecentlyUpdatedIndicators });
+registerFeature('change-tracking', { init: initializeChangeTracking });
+registerFeature('related-topics', { init: initializeCrossReferences });
+registerFeature('smooth-scrolling', { init: initializeSmoothScrolling });
+registerFeature('keyboard-navigation', { init: initializeKeyboardNavigation });
+// Runs last so search and snapshots index the raw placeholders
+registerFeature('environment-profile', { init: initializeEnvironmentProfile, dependencies: ['copy-buttons'] });
 
 /**
  * Initialize performance optimizations
@@ -55,7 +332,7 @@ function initializeLazyLoading() {
         });
     } else {
         // Fallback for browsers without native lazy loading
-        const imageObserver = new IntersectionObserver(function(entries) {
+        const imageObserver = observeUntilTeardown(new IntersectionObserver(function(entries) {
             entries.forEach(function(entry) {
                 if (entry.isIntersecting) {
                     const img = entry.target;
@@ -66,7 +343,7 @@ function initializeLazyLoading() {
             });
         }, {
             rootMargin: '50px 0px'
-        });
+        }));
         
         const lazyImages = document.querySelectorAll('img[data-src]');
         lazyImages.forEach(function(img) {
@@ -75,7 +352,7 @@ function initializeLazyLoading() {
     }
     
     // Lazy load background images
-    const bgImageObserver = new IntersectionObserver(function(entries) {
+    const bgImageObserver = observeUntilTeardown(new IntersectionObserver(function(entries) {
         entries.forEach(function(entry) {
             if (entry.isIntersecting) {
                 const element = entry.target;
@@ -87,7 +364,7 @@ function initializeLazyLoading() {
                 }
             }
         });
-    });
+    }));
     
     const lazyBgElements = document.querySelectorAll('[data-bg-src]');
     lazyBgElements.forEach(function(element) {
@@ -103,7 +380,7 @@ function initializeProgressiveLoading() {
     
     if (largeContentSections.length === 0) return;
     
-    const contentObserver = new IntersectionObserver(function(entries) {
+    const contentObserver = observeUntilTeardown(new IntersectionObserver(function(entries) {
         entries.forEach(function(entry) {
             if (entry.isIntersecting) {
                 const section = entry.target;
@@ -122,7 +399,7 @@ function initializeProgressiveLoading() {
         });
     }, {
         rootMargin: '100px 0px'
-    });
+    }));
     
     largeContentSections.forEach(function(section) {
         section.classList.add('large-content-section');
@@ -166,7 +443,7 @@ function hideLoadingSkeleton(section) {
  * Initialize intersection observer for fade-in animations
  */
 function initializeIntersectionObserver() {
-    const animationObserver = new IntersectionObserver(function(entries) {
+    const animationObserver = observeUntilTeardown(new IntersectionObserver(function(entries) {
         entries.forEach(function(entry) {
             if (entry.isIntersecting) {
                 entry.target.classList.add('visible');
@@ -176,7 +453,7 @@ function initializeIntersectionObserver() {
     }, {
         threshold: 0.1,
         rootMargin: '0px 0px -50px 0px'
-    });
+    }));
     
     // Add fade-in animation to sections
     const sections = document.querySelectorAll('.md-typeset > div, .md-typeset > section, .admonition');
@@ -209,13 +486,22 @@ function optimizeLargeContent() {
     // Optimize large code blocks
     const codeBlocks = document.querySelectorAll('.highlight');
     codeBlocks.forEach(function(block) {
-        const code = block.querySelector('code');
-        if (code && code.textContent.split('\n').length > 50) {
+        if (isLargeCodeBlock(block)) {
             block.classList.add('large-code-block');
         }
     });
 }
 
+/**
+ * Check whether a code block is longer than `large_code_block_lines`
+ * @param {Element} block - Highlight wrapper of a code block
+ * @returns {boolean} True for large blocks
+ */
+function isLargeCodeBlock(block) {
+    const code = block.querySelector('code');
+    return Boolean(code) && getCodeLines(code).length > getEnhancedFeaturesConfig().large_code_block_lines;
+}
+
 /**
  * Initialize virtual scrolling for large lists
  */
@@ -329,12 +615,17 @@ function implementTableVirtualScrolling(table) {
  * Preload critical resources
  */
 function preloadCriticalResources() {
+    // Preload hints stay in the head across instant navigation
+    const isPreloaded = href => Array.from(document.head.querySelectorAll('link[rel="preload"]')).some(link => link.getAttribute('href') === href);
+    
     // Preload critical CSS
     const criticalCSS = [
         '/stylesheets/extra.css'
     ];
     
     criticalCSS.forEach(function(href) {
+        if (isPreloaded(href)) return;
+        
         const link = document.createElement('link');
         link.rel = 'preload';
         link.as = 'style';
@@ -348,6 +639,8 @@ function preloadCriticalResources() {
     ];
     
     criticalJS.forEach(function(src) {
+        if (isPreloaded(src)) return;
+        
         const link = document.createElement('link');
         link.rel = 'preload';
         link.as = 'script';
@@ -361,6 +654,8 @@ function preloadCriticalResources() {
     ];
     
     fonts.forEach(function(href) {
+        if (isPreloaded(href)) return;
+        
         const link = document.createElement('link');
         link.rel = 'preload';
         link.as = 'style';
@@ -435,14 +730,17 @@ function initializeAccessibilityFeatures() {
  * Add skip to main content link for keyboard users
  */
 function addSkipToMainLink() {
-    const skipLink = document.createElement('a');
-    skipLink.href = '#main-content';
-    skipLink.className = 'skip-to-main';
-    skipLink.textContent = 'Skip to main content';
-    skipLink.setAttribute('aria-label', 'Skip to main content');
-    
-    // Insert at the beginning of the body
-    document.body.insertBefore(skipLink, document.body.firstChild);
+    // The link outlives instant navigation; only the main content id needs setting again
+    if (!document.querySelector('.skip-to-main')) {
+        const skipLink = document.createElement('a');
+        skipLink.href = '#main-content';
+        skipLink.className = 'skip-to-main';
+        skipLink.textContent = translate('accessibility.skipToMain');
+        skipLink.setAttribute('aria-label', translate('accessibility.skipToMain'));
+        
+        // Insert at the beginning of the body
+        document.body.insertBefore(skipLink, document.body.firstChild);
+    }
     
     // Ensure main content has proper ID
     const mainContent = document.querySelector('.md-content') || document.querySelector('main');
@@ -471,9 +769,9 @@ function enhanceSemanticMarkup() {
         
         // Add aria-label based on nav type
         if (nav.classList.contains('md-nav--primary')) {
-            nav.setAttribute('aria-label', 'Primary navigation');
+            nav.setAttribute('aria-label', translate('accessibility.primaryNavigation'));
         } else if (nav.classList.contains('md-nav--secondary')) {
-            nav.setAttribute('aria-label', 'Table of contents');
+            nav.setAttribute('aria-label', translate('accessibility.tableOfContents'));
         }
     });
     
@@ -527,7 +825,7 @@ function addARIALabels() {
     // Enhance copy buttons
     const copyButtons = document.querySelectorAll('.copy-button');
     copyButtons.forEach(function(button) {
-        button.setAttribute('aria-label', 'Copy code to clipboard');
+        button.setAttribute('aria-label', translate('copy.label'));
         button.setAttribute('aria-describedby', 'copy-button-help');
     });
     
@@ -536,7 +834,7 @@ function addARIALabels() {
         const helpText = document.createElement('div');
         helpText.id = 'copy-button-help';
         helpText.className = 'sr-only';
-        helpText.textContent = 'Press Enter or Space to copy the code block to your clipboard';
+        helpText.textContent = translate('copy.help');
         document.body.appendChild(helpText);
     }
     
@@ -544,17 +842,17 @@ function addARIALabels() {
     const crossRefLinks = document.querySelectorAll('.cross-reference-link');
     crossRefLinks.forEach(function(link) {
         const originalText = link.textContent;
-        link.setAttribute('aria-label', 'Go to related topic: ' + originalText);
+        link.setAttribute('aria-label', translate('related.linkLabel', { title: originalText }));
     });
     
     // Enhance breadcrumb navigation
     const breadcrumbNav = document.querySelector('.breadcrumb-nav');
     if (breadcrumbNav) {
-        breadcrumbNav.setAttribute('aria-label', 'Breadcrumb navigation');
+        breadcrumbNav.setAttribute('aria-label', translate('breadcrumb.label'));
         
         const links = breadcrumbNav.querySelectorAll('a');
         links.forEach(function(link, index) {
-            link.setAttribute('aria-label', 'Go to ' + link.textContent);
+            link.setAttribute('aria-label', translate('accessibility.goTo', { title: link.textContent }));
         });
         
         const current = breadcrumbNav.querySelector('.breadcrumb-current');
@@ -575,7 +873,7 @@ function addARIALabels() {
             status = 'current';
         }
         
-        step.setAttribute('aria-label', `Step ${stepNumber}: ${status}`);
+        step.setAttribute('aria-label', translate('progress.step', { number: stepNumber, status: translate('progress.' + status) }));
         step.setAttribute('role', 'img');
     });
 }
@@ -587,7 +885,7 @@ function initializeFocusManagement() {
     // Focus management for skip link
     const skipLink = document.querySelector('.skip-to-main');
     if (skipLink) {
-        skipLink.addEventListener('click', function(e) {
+        listenUntilTeardown(skipLink, 'click', function(e) {
             e.preventDefault();
             const target = document.querySelector(this.getAttribute('href'));
             if (target) {
@@ -604,7 +902,7 @@ function initializeFocusManagement() {
     });
     
     // Restore focus after dynamic content changes
-    document.addEventListener('DOMNodeInserted', function(e) {
+    listenUntilTeardown(document, 'DOMNodeInserted', function(e) {
         if (e.target.nodeType === Node.ELEMENT_NODE) {
             // Re-initialize accessibility features for new content
             setTimeout(function() {
@@ -618,6 +916,9 @@ function initializeFocusManagement() {
  * Add live regions for dynamic content announcements
  */
 function addLiveRegions() {
+    // Live regions outlive instant navigation
+    if (document.getElementById('live-region')) return;
+    
     // Create live region for copy notifications
     const liveRegion = document.createElement('div');
     liveRegion.id = 'live-region';
@@ -668,7 +969,8 @@ function trapFocusInModal(modal) {
     const firstFocusable = focusableElements[0];
     const lastFocusable = focusableElements[focusableElements.length - 1];
     
-    modal.addEventListener('keydown', function(e) {
+    // Dialogs such as the theme's search live outside the page content
+    listenUntilTeardown(modal, 'keydown', function(e) {
         if (e.key === 'Tab') {
             if (e.shiftKey) {
                 if (document.activeElement === firstFocusable) {
@@ -693,25 +995,163 @@ function initializeCopyButtons() {
     const codeBlocks = document.querySelectorAll('.highlight, pre');
     
     codeBlocks.forEach(function(block) {
-        // Skip if copy button already exists
-        if (block.querySelector('.copy-button')) {
+        // Skip if copy button already exists, and the line number column of `linenums` tables
+        if (block.querySelector('.copy-button') || block.closest('.linenodiv')) {
             return;
         }
         
         // Create copy button
         const copyButton = document.createElement('button');
         copyButton.className = 'copy-button';
-        copyButton.setAttribute('aria-label', 'Copy code to clipboard');
-        copyButton.innerHTML = '<span>Copy</span>';
+        copyButton.setAttribute('aria-label', translate('copy.label'));
+        copyButton.innerHTML = `<span>${escapeHtml(translate('copy.button'))}</span>`;
         
         // Add click event listener
         copyButton.addEventListener('click', function() {
             copyCodeToClipboard(block, copyButton);
         });
         
-        // Add button to code block
+        // Add button to code block, split with the menu of other copy formats
+        const control = document.createElement('div');
+        control.className = 'copy-control';
+        control.appendChild(copyButton);
+        addCopyFormatMenu(control, block);
+        
         block.style.position = 'relative';
-        block.appendChild(copyButton);
+        block.appendChild(control);
+    });
+    
+    // Offer to copy only the selected lines while the selection touches a block
+    listenUntilTeardown(document, 'selectionchange', debounce(updateCopyButtonLabels, 100));
+    
+    // Close copy format menus on clicks elsewhere
+    listenUntilTeardown(document, 'click', function(e) {
+        document.querySelectorAll('.copy-format-toggle[aria-expanded="true"]').forEach(function(toggle) {
+            if (!toggle.parentElement.contains(e.target)) {
+                closeCopyFormatMenu(toggle, false);
+            }
+        });
+    });
+}
+
+/**
+ * Add the menu of copy formats to a copy control
+ * @param {Element} control - Copy control holding the copy button
+ * @param {Element} block - Code block
+ */
+function addCopyFormatMenu(control, block) {
+    const copyButton = control.querySelector('.copy-button');
+    
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'copy-format-toggle';
+    toggle.setAttribute('aria-haspopup', 'menu');
+    toggle.setAttribute('aria-expanded', 'false');
+    toggle.setAttribute('aria-label', translate('copy.formats'));
+    toggle.setAttribute('title', translate('copy.formats'));
+    
+    const menu = document.createElement('div');
+    menu.className = 'copy-format-menu';
+    menu.setAttribute('role', 'menu');
+    menu.hidden = true;
+    
+    // Keep the reader's selection when the buttons are pressed
+    control.addEventListener('mousedown', function(e) {
+        if (e.target.closest('button')) e.preventDefault();
+    });
+    
+    toggle.addEventListener('click', function() {
+        if (toggle.getAttribute('aria-expanded') === 'true') {
+            closeCopyFormatMenu(toggle, false);
+        } else {
+            openCopyFormatMenu(toggle, block, copyButton);
+        }
+    });
+    
+    toggle.addEventListener('keydown', function(e) {
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            openCopyFormatMenu(toggle, block, copyButton);
+        }
+    });
+    
+    menu.addEventListener('keydown', function(e) {
+        const items = Array.from(menu.querySelectorAll('[role="menuitem"]'));
+        const index = items.indexOf(document.activeElement);
+        
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            items[(index + step + items.length) % items.length].focus();
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            closeCopyFormatMenu(toggle, true);
+        } else if (e.key === 'Tab') {
+            closeCopyFormatMenu(toggle, false);
+        }
+    });
+    
+    control.appendChild(toggle);
+    control.appendChild(menu);
+}
+
+/**
+ * Open a copy format menu with the formats that apply to its block
+ * @param {Element} toggle - Menu toggle button
+ * @param {Element} block - Code block
+ * @param {Element} copyButton - Copy button showing the copy feedback
+ */
+function openCopyFormatMenu(toggle, block, copyButton) {
+    const menu = toggle.nextElementSibling;
+    
+    // File headers are added after the copy buttons, so formats are listed on demand
+    menu.innerHTML = '';
+    getCopyFormats(block).forEach(function(format) {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.setAttribute('role', 'menuitem');
+        item.textContent = translate('copy.format.' + format);
+        item.addEventListener('click', function() {
+            closeCopyFormatMenu(toggle, true);
+            copyCodeToClipboard(block, copyButton, format);
+        });
+        menu.appendChild(item);
+    });
+    
+    menu.hidden = false;
+    toggle.setAttribute('aria-expanded', 'true');
+    menu.querySelector('[role="menuitem"]').focus();
+}
+
+/**
+ * Close a copy format menu
+ * @param {Element} toggle - Menu toggle button
+ * @param {boolean} restoreFocus - Move the focus back to the toggle
+ */
+function closeCopyFormatMenu(toggle, restoreFocus) {
+    toggle.nextElementSibling.hidden = true;
+    toggle.setAttribute('aria-expanded', 'false');
+    
+    if (restoreFocus) {
+        toggle.focus();
+    }
+}
+
+/**
+ * Switch copy buttons between "Copy" and "Copy selected lines"
+ */
+function updateCopyButtonLabels() {
+    document.querySelectorAll('.copy-control .copy-button').forEach(function(button) {
+        if (button.classList.contains('copied')) return;
+        
+        const block = button.closest('.copy-control').parentElement;
+        const code = block.querySelector('code') || block;
+        const selected = getSelectedCodeLines(code) !== null;
+        if (selected === button.classList.contains('copy-selection')) return;
+        
+        button.classList.toggle('copy-selection', selected);
+        button.setAttribute('aria-label', translate(selected ? 'copy.selectionLabel' : 'copy.label'));
+        button.innerHTML = `<span>${escapeHtml(translate(selected ? 'copy.selection' : 'copy.button'))}</span>`;
     });
 }
 
@@ -719,20 +1159,30 @@ function initializeCopyButtons() {
  * Copy code content to clipboard
  * @param {Element} codeBlock - The code block element
  * @param {Element} button - The copy button element
+ * @param {string} format - Optional format from getCopyFormats(), plain code by default
  */
-function copyCodeToClipboard(codeBlock, button) {
-    let codeText = '';
+function copyCodeToClipboard(codeBlock, button, format) {
+    const codeElement = codeBlock.querySelector('code') || codeBlock;
+    let lines = getCodeLines(codeElement);
     
-    // Extract text from code element
-    const codeElement = codeBlock.querySelector('code');
-    if (codeElement) {
-        codeText = codeElement.textContent || codeElement.innerText;
-    } else {
-        codeText = codeBlock.textContent || codeBlock.innerText;
+    // Leave out shell prompts and sample output
+    if (SHELL_LANGUAGES.includes(getCodeBlockLanguage(codeElement))) {
+        lines = getShellCommandLines(lines);
+    }
+    
+    // Copy only the lines the reader selected, if any
+    const selected = getSelectedCodeLines(codeElement);
+    if (selected) {
+        lines = lines.slice(selected.first, selected.last + 1);
     }
     
-    // Clean up the text (remove line numbers if present)
-    codeText = codeText.replace(/^\s*\d+\s*/gm, '').trim();
+    let codeText = lines.filter(line => line !== null).join('\n').replace(/^\n+|\s+$/g, '');
+    
+    codeText = applyEnvironmentProfile(codeText, codeBlock);
+    
+    if (format) {
+        codeText = formatCopyText(codeText, format, codeElement);
+    }
     
     // Copy to clipboard
     if (navigator.clipboard && window.isSecureContext) {
@@ -749,6 +1199,216 @@ function copyCodeToClipboard(codeBlock, button) {
     }
 }
 
+/**
+ * Shell prompts: `$ `, `% `, `user@host:~$ ` and PowerShell's `PS C:\> `
+ */
+const SHELL_PROMPT_PATTERN = /^\s*(?:(?:[\w.-]+@[\w.-]+(?::[^\s$%]*)?\s?)?[$%]|PS [^>\n]*>) /;
+
+/**
+ * Comment opening sample output in a shell block, e.g. `# Expected output:`;
+ * the output runs up to the next blank line
+ */
+const SHELL_OUTPUT_MARKER_PATTERN = /^\s*#\s*(?:expected(?:\s+(?:output|response))?|output|sa[íi]da(?:\s+esperada)?|resultado(?:\s+esperado)?|resposta(?:\s+esperada)?)\s*:\s*$/i;
+
+/**
+ * Text lines of a code block, without the line numbers added by `linenums`
+ * @param {Element} code - Code element
+ * @returns {Array} Lines of text
+ */
+function getCodeLines(code) {
+    const clone = code.cloneNode(true);
+    clone.querySelectorAll('.linenos, .linenodiv, .copy-control, .environment-toggle').forEach(node => node.remove());
+    
+    // Environment values, masked secrets included, are filled in again by applyEnvironmentProfile()
+    clone.querySelectorAll('.environment-value').forEach(mark => mark.replaceWith(mark.getAttribute('data-raw')));
+    return clone.textContent.replace(/\n$/, '').split('\n');
+}
+
+/**
+ * Keep the commands of a shell block. When some lines start with a prompt,
+ * only those (and their `\` continuations) are commands and the rest is
+ * output; lines after an output marker comment are output too.
+ * @param {Array} lines - Lines of text
+ * @returns {Array} Commands without their prompt, with null in place of output lines
+ */
+function getShellCommandLines(lines) {
+    const prompted = lines.some(line => SHELL_PROMPT_PATTERN.test(line));
+    let continued = false;
+    let output = false;
+    
+    return lines.map(function(line) {
+        // The blank line closing the output goes with it
+        if (output) {
+            output = Boolean(line.trim());
+            return null;
+        }
+        
+        if (SHELL_OUTPUT_MARKER_PATTERN.test(line)) {
+            output = true;
+            return null;
+        }
+        if (!prompted) return line;
+        
+        const prompt = SHELL_PROMPT_PATTERN.exec(line);
+        if (!prompt && !continued) return null;
+        
+        continued = /\\\s*$/.test(line);
+        return prompt ? line.substring(prompt[0].length) : line;
+    });
+}
+
+/**
+ * Lines of a code block touched by the reader's selection
+ * @param {Element} code - Code element
+ * @returns {Object|null} 0-based { first, last } line indexes, or null without a selection in the block
+ */
+function getSelectedCodeLines(code) {
+    const selection = window.getSelection();
+    if (!selection || selection.isCollapsed || selection.rangeCount === 0) return null;
+    
+    const range = selection.getRangeAt(0);
+    if (!range.intersectsNode(code)) return null;
+    
+    // Text before a point of the selection, clamped to the block
+    const textBefore = function(container, offset, fallback) {
+        if (!code.contains(container)) return fallback;
+        
+        const before = document.createRange();
+        before.selectNodeContents(code);
+        before.setEnd(container, offset);
+        return before.toString();
+    };
+    
+    const text = code.textContent;
+    const start = textBefore(range.startContainer, range.startOffset, '');
+    let end = textBefore(range.endContainer, range.endOffset, text);
+    
+    // A selection ending at the start of a line does not include it
+    if (end.length > start.length && end.endsWith('\n')) {
+        end = end.slice(0, -1);
+    }
+    
+    const first = start.split('\n').length - 1;
+    const last = Math.min(end.split('\n').length - 1, text.replace(/\n$/, '').split('\n').length - 1);
+    return { first: first, last: last };
+}
+
+/**
+ * Languages of the "simple bash snippets" that can be copied as PowerShell
+ */
+const POWERSHELL_SOURCE_LANGUAGES = ['bash', 'sh', 'shell', 'zsh', 'console'];
+
+/**
+ * File path comments by language, `# File: path` for the others
+ */
+const FILE_PATH_COMMENTS = {
+    java: '// File: {path}',
+    kotlin: '// File: {path}',
+    groovy: '// File: {path}',
+    gradle: '// File: {path}',
+    javascript: '// File: {path}',
+    js: '// File: {path}',
+    typescript: '// File: {path}',
+    ts: '// File: {path}',
+    go: '// File: {path}',
+    sql: '-- File: {path}',
+    xml: '<!-- File: {path} -->',
+    html: '<!-- File: {path} -->'
+};
+
+/**
+ * Copy formats that apply to a code block
+ * @param {Element} block - Code block
+ * @returns {Array} Formats among markdown, powershell and file
+ */
+function getCopyFormats(block) {
+    const formats = ['markdown'];
+    
+    if (POWERSHELL_SOURCE_LANGUAGES.includes(getCodeBlockLanguage(block.querySelector('code') || block))) {
+        formats.push('powershell');
+    }
+    if (getCodeFilePath(block)) {
+        formats.push('file');
+    }
+    
+    return formats;
+}
+
+/**
+ * File path of a code block, as captured by addFilePathHeaders()
+ * @param {Element} block - Code block or an element inside it
+ * @returns {string} Path, or an empty string
+ */
+function getCodeFilePath(block) {
+    const holder = block.closest('[data-file-path]') || block.querySelector('[data-file-path]');
+    return holder ? holder.getAttribute('data-file-path') : '';
+}
+
+/**
+ * Format copied code
+ * @param {string} text - Code text
+ * @param {string} format - markdown, powershell or file
+ * @param {Element} code - Code element the text comes from
+ * @returns {string} Formatted text
+ */
+function formatCopyText(text, format, code) {
+    const language = getCodeBlockLanguage(code);
+    const filePath = getCodeFilePath(code);
+    
+    if (format === 'markdown') {
+        // The fence must be longer than any backtick run in the code
+        const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(Math.max(3, longestRun + 1));
+        const info = language + (filePath ? ` title="${filePath}"` : '');
+        return `${fence}${info}\n${text}\n${fence}`;
+    }
+    if (format === 'powershell') {
+        return convertBashToPowerShell(text);
+    }
+    if (format === 'file' && filePath) {
+        return (FILE_PATH_COMMENTS[language] || '# File: {path}').replace('{path}', filePath) + '\n' + text;
+    }
+    
+    return text;
+}
+
+/**
+ * Translate a simple bash snippet to PowerShell: `export VAR=x` and `VAR=x`
+ * set `$env:VAR`, `$VAR` and `${VAR}` read it, and `\` line continuations
+ * become backticks. Anything else is left as is.
+ * @param {string} text - Bash code
+ * @returns {string} PowerShell code
+ */
+function convertBashToPowerShell(text) {
+    // Variables expand outside single quotes only
+    const expand = function(code) {
+        return code.split(/('[^']*')/).map(function(part, index) {
+            if (index % 2 === 1) return part;
+            
+            return part.replace(/\$\{([A-Za-z_]\w*)(?::?-([^}]*))?\}|\$([A-Za-z_]\w*)/g, function(match, braced, fallback, plain) {
+                if (fallback !== undefined) {
+                    return `$(if ($env:${braced}) { $env:${braced} } else { "${fallback}" })`;
+                }
+                return braced ? `\${env:${braced}}` : `$env:${plain}`;
+            });
+        }).join('');
+    };
+    
+    return text.split('\n').map(function(line) {
+        if (/^\s*#/.test(line)) return line;
+        
+        const assignment = /^(\s*)(?:export\s+)?([A-Za-z_]\w*)=("[^"]*"|'[^']*'|[^\s#]*)(\s+#.*)?$/.exec(line);
+        if (assignment) {
+            const value = /^["']/.test(assignment[3]) ? expand(assignment[3]) : `"${expand(assignment[3])}"`;
+            line = `${assignment[1]}$env:${assignment[2]} = ${value}${assignment[4] || ''}`;
+        } else {
+            line = expand(line);
+        }
+        
+        return line.replace(/\s*\\$/, ' `');
+    }).join('\n');
+}
+
 /**
  * Fallback copy method for older browsers
  * @param {string} text - Text to copy
@@ -786,16 +1446,16 @@ function fallbackCopyToClipboard(text, button) {
 function showCopySuccess(button) {
     const originalText = button.innerHTML;
     button.classList.add('copied');
-    button.innerHTML = '<span>Copied!</span>';
-    button.setAttribute('aria-label', 'Code copied to clipboard');
+    button.innerHTML = `<span>${escapeHtml(translate('copy.copied'))}</span>`;
+    button.setAttribute('aria-label', translate('copy.copiedLabel'));
     
     // Announce to screen readers
-    announceToScreenReader('Code copied to clipboard');
+    announceToScreenReader(translate('copy.copiedLabel'));
     
     setTimeout(function() {
         button.classList.remove('copied');
         button.innerHTML = originalText;
-        button.setAttribute('aria-label', 'Copy code to clipboard');
+        button.setAttribute('aria-label', translate('copy.label'));
     }, 2000);
 }
 
@@ -806,7 +1466,7 @@ function showCopySuccess(button) {
 function showCopyError(button) {
     const originalText = button.innerHTML;
     button.style.background = 'var(--md-error-color)';
-    button.innerHTML = '<span>Error</span>';
+    button.innerHTML = `<span>${escapeHtml(translate('copy.error'))}</span>`;
     
     setTimeout(function() {
         button.style.background = '';
@@ -822,16 +1482,7 @@ function initializeCodeBlockEnhancements() {
     const highlights = document.querySelectorAll('.highlight');
     
     highlights.forEach(function(highlight) {
-        // Get language from class name
-        const classes = highlight.className.split(' ');
-        let language = '';
-        
-        for (let className of classes) {
-            if (className.startsWith('language-')) {
-                language = className.replace('language-', '');
-                break;
-            }
-        }
+        const language = getCodeBlockLanguage(highlight);
         
         if (language) {
             highlight.setAttribute('data-lang', language.toUpperCase());
@@ -843,10 +1494,83 @@ function initializeCodeBlockEnhancements() {
 }
 
 /**
- * Add file path headers to code blocks
+ * Get the language of a code block from its `language-*` class
+ * @param {Element} element - Code element or its highlight wrapper
+ * @returns {string} Language name, or an empty string
  */
-function addFilePathHeaders() {
-    // Look for code blocks with file path comments
+function getCodeBlockLanguage(element) {
+    const highlight = element.closest('.highlight') || element;
+    const candidates = [highlight, element];
+    
+    for (let candidate of candidates) {
+        // Get language from class name
+        for (let className of candidate.classList) {
+            if (className.startsWith('language-')) {
+                return className.replace('language-', '');
+            }
+        }
+    }
+    
+    return '';
+}
+
+/**
+ * Find the element of a line inside a highlighted code block
+ * @param {Element} code - Code element
+ * @param {number} lineNumber - 1-based line number
+ * @returns {Element|null} Line span emitted by pymdownx.highlight `line_spans`, or null
+ */
+function findCodeLineElement(code, lineNumber) {
+    return getCodeLineElements(code)[lineNumber - 1] || null;
+}
+
+/**
+ * Line elements of a highlighted code block
+ * @param {Element} code - Code element
+ * @returns {Array} Line spans emitted by pymdownx.highlight `line_spans`, empty without them
+ */
+function getCodeLineElements(code) {
+    return Array.from(code.children).filter(child => /^__span-\d+-\d+$/.test(child.id));
+}
+
+/**
+ * Create a range over text offsets of a code element, across its markup
+ * @param {Element} code - Code element
+ * @param {number} start - Offset of the first character in its textContent
+ * @param {number} end - Offset after the last character
+ * @returns {Range|null} Range, or null when the offsets are out of the text
+ */
+function createCodeTextRange(code, start, end) {
+    const textNodes = [];
+    const walker = document.createTreeWalker(code, NodeFilter.SHOW_TEXT);
+    let offset = 0;
+    while (walker.nextNode()) {
+        textNodes.push({ node: walker.currentNode, start: offset });
+        offset += walker.currentNode.data.length;
+    }
+    
+    const locate = function(position, preferNext) {
+        const entry = textNodes.find(item => preferNext ?
+            position >= item.start && position < item.start + item.node.data.length :
+            position > item.start && position <= item.start + item.node.data.length);
+        return entry ? { node: entry.node, offset: position - entry.start } : null;
+    };
+    
+    const startPoint = locate(start, true) || locate(start, false);
+    const endPoint = locate(end, false) || startPoint;
+    if (!startPoint || !endPoint) return null;
+    
+    const range = document.createRange();
+    range.setStart(startPoint.node, startPoint.offset);
+    range.setEnd(endPoint.node, endPoint.offset);
+    return range;
+}
+
+/**
+ * Add file path headers to code blocks
+ */
+function addFilePathHeaders() {
+    // Look for code blocks with file path comments
     const codeBlocks = document.querySelectorAll('pre code');
     
     codeBlocks.forEach(function(code) {
@@ -861,1246 +1585,4196 @@ function addFilePathHeaders() {
             
             const pre = code.parentElement;
             pre.parentElement.insertBefore(header, pre);
+            (pre.closest('.highlight') || pre).setAttribute('data-file-path', filePath);
             
-            // Remove the file path comment from code
-            code.textContent = text.replace(filePathMatch[0], '').trim();
+            removeFilePathComment(code, filePathMatch);
         }
     });
 }
 
 /**
- * Initialize progress indicators
+ * Remove the file path comment from a code block, with the blank lines
+ * following it when it opens the block, keeping the highlighting markup
+ * @param {Element} code - Code element
+ * @param {Array} match - Match of the comment in the code text
  */
-function initializeProgressIndicators() {
-    const progressIndicators = document.querySelectorAll('.progress-indicator');
+function removeFilePathComment(code, match) {
+    const lines = getCodeLineElements(code);
+    const text = code.textContent;
+    const opensBlock = !text.substring(0, match.index).trim();
+    
+    // Highlighted blocks: drop whole line spans so line numbers stay aligned with lines
+    if (lines.length > 0) {
+        const index = lines.findIndex(line => line.textContent.includes(match[0]));
+        if (index === -1) return;
+        
+        lines[index].remove();
+        for (let next = index + 1; opensBlock && next < lines.length && !lines[next].textContent.trim(); next++) {
+            lines[next].remove();
+        }
+        return;
+    }
     
-    progressIndicators.forEach(function(indicator) {
-        const steps = indicator.querySelectorAll('.progress-step');
-        let activeIndex = -1;
+    let end = match.index + match[0].length;
+    const following = opensBlock ? /^\s*/.exec(text.substring(end)) : /^\n?/.exec(text.substring(end));
+    end += following[0].length;
+    
+    const range = createCodeTextRange(code, opensBlock ? 0 : match.index, end);
+    if (range) {
+        range.deleteContents();
+    }
+}
+
+/**
+ * localStorage key holding the expanded code blocks of each page
+ */
+const EXPANDED_CODE_BLOCKS_STORAGE_KEY = 'enhanced-expanded-code-blocks';
+
+/**
+ * Initialize collapsible code blocks. Large blocks (see isLargeCodeBlock())
+ * show their first `collapsed_code_block_lines` lines, and blocks inside an
+ * element with `data-visible-lines="3-10 15"` show those lines, until the
+ * reader expands them.
+ */
+function initializeCollapsibleCodeBlocks() {
+    const expanded = loadExpandedCodeBlocks();
+    const visibleLines = getEnhancedFeaturesConfig().collapsed_code_block_lines;
+    
+    document.querySelectorAll('.md-typeset .highlight').forEach(function(block, index) {
+        const code = block.querySelector('pre > code');
+        if (!code || block.querySelector('.code-expand-toggle')) return;
         
-        // Find active step
-        steps.forEach(function(step, index) {
-            if (step.classList.contains('active')) {
-                activeIndex = index;
-            }
-        });
+        // Line ranges need the line spans of highlighted blocks
+        const rangeHolder = block.closest('[data-visible-lines]');
+        const ranges = rangeHolder ? parseLineRanges(rangeHolder.getAttribute('data-visible-lines')) : [];
+        const hasRanges = ranges.length > 0 && hideCodeLines(code, ranges);
+        if (!hasRanges && !isLargeCodeBlock(block)) return;
         
-        // Mark previous steps as completed
-        if (activeIndex > 0) {
-            for (let i = 0; i < activeIndex; i++) {
-                steps[i].classList.add('completed');
-            }
+        const key = getCodeBlockKey(block, code);
+        block.classList.add(hasRanges ? 'code-collapsible-lines' : 'code-collapsible-height');
+        block.style.setProperty('--collapsed-lines', visibleLines);
+        block.setAttribute('data-line-count', getCodeLines(code).length);
+        
+        if (!code.id) {
+            code.id = `code-block-${index}`;
         }
+        
+        const toggle = document.createElement('button');
+        toggle.type = 'button';
+        toggle.className = 'code-expand-toggle';
+        toggle.setAttribute('aria-controls', code.id);
+        toggle.addEventListener('click', function() {
+            const isExpanded = block.classList.contains('code-collapsed');
+            setCodeBlockExpanded(block, isExpanded);
+            saveExpandedCodeBlock(key, isExpanded);
+        });
+        block.appendChild(toggle);
+        
+        setCodeBlockExpanded(block, expanded.includes(key));
     });
 }
 
 /**
- * Utility function to add smooth scrolling to anchor links
+ * Stable key of a code block, surviving blocks added or moved on the page:
+ * its id, else its file path, else a hash of its code
+ * @param {Element} block - Highlight wrapper of the code block
+ * @param {Element} code - Code element
+ * @returns {string} Block key
  */
-function initializeSmoothScrolling() {
-    const anchorLinks = document.querySelectorAll('a[href^="#"]');
+function getCodeBlockKey(block, code) {
+    if (block.id) return 'id:' + block.id;
     
-    anchorLinks.forEach(function(link) {
-        link.addEventListener('click', function(e) {
-            const targetId = this.getAttribute('href').substring(1);
-            const targetElement = document.getElementById(targetId);
-            
-            if (targetElement) {
-                e.preventDefault();
-                targetElement.scrollIntoView({
-                    behavior: 'smooth',
-                    block: 'start'
-                });
-            }
-        });
+    const filePath = getCodeFilePath(block);
+    if (filePath) return 'file:' + filePath;
+    
+    return 'code:' + hashSearchText(getCodeLines(code).join('\n'));
+}
+
+/**
+ * Parse line ranges in the `hl_lines` syntax
+ * @param {string} value - Ranges such as "3-10 15"
+ * @returns {Array} Ranges as [first, last], 1-based and inclusive
+ */
+function parseLineRanges(value) {
+    return (value || '').split(/[\s,]+/).map(function(range) {
+        const match = /^(\d+)(?:-(\d+))?$/.exec(range);
+        return match ? [Number(match[1]), Number(match[2] || match[1])] : null;
+    }).filter(Boolean);
+}
+
+/**
+ * Mark the lines outside the visible ranges, hidden while the block is
+ * collapsed; the first line after hidden ones shows a gap marker
+ * @param {Element} code - Code element
+ * @param {Array} ranges - Visible ranges from parseLineRanges()
+ * @returns {boolean} False when the block has no line spans
+ */
+function hideCodeLines(code, ranges) {
+    const lines = getCodeLineElements(code);
+    if (lines.length === 0) return false;
+    
+    let previousHidden = false;
+    lines.forEach(function(line, index) {
+        const hidden = !ranges.some(range => index + 1 >= range[0] && index + 1 <= range[1]);
+        line.classList.toggle('code-line-hidden', hidden);
+        line.classList.toggle('code-line-gap', !hidden && previousHidden);
+        previousHidden = hidden;
     });
+    
+    return true;
 }
 
 /**
- * Initialize comprehensive keyboard navigation for interactive elements
+ * Expand or collapse a collapsible code block
+ * @param {Element} block - Highlight wrapper of the code block
+ * @param {boolean} isExpanded - Show every line
  */
-function initializeKeyboardNavigation() {
-    // Add keyboard support for copy buttons
-    const copyButtons = document.querySelectorAll('.copy-button');
+function setCodeBlockExpanded(block, isExpanded) {
+    const toggle = block.querySelector('.code-expand-toggle');
+    const count = Number(block.getAttribute('data-line-count'));
     
-    copyButtons.forEach(function(button) {
-        // Ensure button is focusable
-        button.setAttribute('tabindex', '0');
-        button.setAttribute('role', 'button');
+    block.classList.toggle('code-collapsed', !isExpanded);
+    toggle.setAttribute('aria-expanded', String(isExpanded));
+    toggle.textContent = translate(isExpanded ? 'code.collapse' : 'code.expand', { count: count });
+}
+
+/**
+ * Load the expanded code blocks of the current page
+ * @returns {Array} Keys of the expanded blocks
+ */
+function loadExpandedCodeBlocks() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(EXPANDED_CODE_BLOCKS_STORAGE_KEY)) || {};
+        const saved = stored[normalizePagePath(window.location.pathname)];
+        return Array.isArray(saved) ? saved : [];
+    } catch (err) {
+        // Storage disabled or corrupted: every block starts collapsed
+        return [];
+    }
+}
+
+/**
+ * Remember whether a code block of the current page is expanded
+ * @param {string} key - Block key
+ * @param {boolean} isExpanded - Expanded state
+ */
+function saveExpandedCodeBlock(key, isExpanded) {
+    try {
+        const stored = JSON.parse(localStorage.getItem(EXPANDED_CODE_BLOCKS_STORAGE_KEY)) || {};
+        const page = normalizePagePath(window.location.pathname);
+        const saved = (stored[page] || []).filter(savedKey => savedKey !== key);
         
-        button.addEventListener('keydown', function(e) {
-            if (e.key === 'Enter' || e.key === ' ') {
-                e.preventDefault();
-                button.click();
-            }
+        if (isExpanded) {
+            saved.push(key);
+        }
+        if (saved.length > 0) {
+            stored[page] = saved;
+        } else {
+            delete stored[page];
+        }
+        localStorage.setItem(EXPANDED_CODE_BLOCKS_STORAGE_KEY, JSON.stringify(stored));
+    } catch (err) {
+        console.warn('Unable to save expanded code blocks: ', err);
+    }
+}
+
+/**
+ * Initialize code downloads: a download button on every block with a file
+ * header, and a zip of all of them when the page has several
+ */
+function initializeCodeDownloads() {
+    const files = [];
+    
+    document.querySelectorAll('.code-file-header').forEach(function(header) {
+        // addFilePathHeaders() puts the header right before the block's pre
+        const block = header.nextElementSibling;
+        const path = block ? getCodeFilePath(block) : '';
+        if (!path) return;
+        
+        files.push({ path: path, block: block });
+        if (header.querySelector('.code-download-button')) return;
+        
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'code-download-button';
+        button.textContent = translate('download.file');
+        button.setAttribute('aria-label', translate('download.fileLabel', { path: path }));
+        button.addEventListener('click', function() {
+            const name = path.split('/').pop();
+            downloadBlob(new Blob([getCodeFileText(block)], { type: 'text/plain' }), name);
         });
+        header.appendChild(button);
     });
     
-    // Add keyboard support for cross-reference links
-    const crossRefLinks = document.querySelectorAll('.cross-reference-link');
-    crossRefLinks.forEach(function(link) {
-        link.addEventListener('keydown', function(e) {
-            if (e.key === 'Enter') {
-                e.preventDefault();
-                link.click();
+    if (files.length < 2 || document.querySelector('.code-files-download')) return;
+    
+    const downloadAll = document.createElement('button');
+    downloadAll.type = 'button';
+    downloadAll.className = 'code-files-download';
+    downloadAll.textContent = translate('download.all', { count: files.length });
+    downloadAll.addEventListener('click', function() {
+        // The first block wins when several show the same file
+        const entries = new Map();
+        files.forEach(function(file) {
+            const path = normalizeArchivePath(file.path);
+            if (path && !entries.has(path)) {
+                entries.set(path, getCodeFileText(file.block));
             }
         });
-    });
-    
-    // Add keyboard support for code tabs
-    const codeTabs = document.querySelectorAll('.code-tab');
-    codeTabs.forEach(function(tab, index) {
-        tab.setAttribute('tabindex', '0');
-        tab.setAttribute('role', 'tab');
-        tab.setAttribute('aria-selected', tab.classList.contains('active') ? 'true' : 'false');
         
-        tab.addEventListener('keydown', function(e) {
-            const tabs = Array.from(tab.parentElement.children);
-            let newIndex = index;
-            
-            switch(e.key) {
-                case 'Enter':
-                case ' ':
-                    e.preventDefault();
-                    tab.click();
-                    break;
-                case 'ArrowLeft':
-                    e.preventDefault();
-                    newIndex = index > 0 ? index - 1 : tabs.length - 1;
-                    tabs[newIndex].focus();
-                    break;
-                case 'ArrowRight':
-                    e.preventDefault();
-                    newIndex = index < tabs.length - 1 ? index + 1 : 0;
-                    tabs[newIndex].focus();
-                    break;
-                case 'Home':
-                    e.preventDefault();
-                    tabs[0].focus();
-                    break;
-                case 'End':
-                    e.preventDefault();
-                    tabs[tabs.length - 1].focus();
-                    break;
-            }
-        });
+        const name = (getCurrentPageKey().replace(/\//g, '-') || 'files') + '.zip';
+        downloadBlob(createZipArchive(Array.from(entries, ([path, text]) => ({ path: path, text: text }))), name);
     });
     
-    // Add keyboard navigation for table of contents
-    initializeTOCKeyboardNavigation();
-    
-    // Add escape key handler for dismissible elements
-    document.addEventListener('keydown', function(e) {
-        if (e.key === 'Escape') {
-            // Close any open modals or dropdowns
-            const activeElements = document.querySelectorAll('.active, .open, .expanded');
-            activeElements.forEach(function(element) {
-                if (element.classList.contains('dismissible')) {
-                    element.classList.remove('active', 'open', 'expanded');
-                }
-            });
-        }
-    });
+    insertAfterPageTitle(downloadAll);
 }
 
 /**
- * Initialize keyboard navigation for table of contents
+ * Content of a file-headed code block, as it would be copied
+ * @param {Element} block - Code block
+ * @returns {string} File content ending with a newline
  */
-function initializeTOCKeyboardNavigation() {
-    const tocLinks = document.querySelectorAll('.md-nav--secondary .md-nav__link');
-    
-    tocLinks.forEach(function(link, index) {
-        link.addEventListener('keydown', function(e) {
-            const links = Array.from(document.querySelectorAll('.md-nav--secondary .md-nav__link'));
-            let newIndex = index;
-            
-            switch(e.key) {
-                case 'ArrowUp':
-                    e.preventDefault();
-                    newIndex = index > 0 ? index - 1 : links.length - 1;
-                    links[newIndex].focus();
-                    break;
-                case 'ArrowDown':
-                    e.preventDefault();
-                    newIndex = index < links.length - 1 ? index + 1 : 0;
-                    links[newIndex].focus();
-                    break;
-                case 'Home':
-                    e.preventDefault();
-                    links[0].focus();
-                    break;
-                case 'End':
-                    e.preventDefault();
-                    links[links.length - 1].focus();
-                    break;
-            }
-        });
-    });
+function getCodeFileText(block) {
+    const code = block.querySelector('code') || block;
+    const text = getCodeLines(code).join('\n').replace(/\s+$/, '') + '\n';
+    return applyEnvironmentProfile(text, block);
 }
 
-// Initialize additional features when DOM is ready
-document.addEventListener('DOMContentLoaded', function() {
-    initializeSmoothScrolling();
-    initializeKeyboardNavigation();
-});
+/**
+ * Relative path of a file inside the zip
+ * @param {string} path - Path from the file header
+ * @returns {string} Path without leading `./` or `/`, or an empty string when it leaves the archive
+ */
+function normalizeArchivePath(path) {
+    const segments = path.replace(/\\/g, '/').split('/').filter(segment => segment && segment !== '.');
+    return segments.includes('..') ? '' : segments.join('/');
+}
 
-// Export functions for potential external use
-window.EnhancedFeatures = {
-    initializeCopyButtons,
-    initializeCodeBlockEnhancements,
-    initializeProgressIndicators,
-    copyCodeToClipboard
-};
-/*
-*
- * Initialize navigation enhancements
+/**
+ * Save a blob under a file name
+ * @param {Blob} blob - File content
+ * @param {string} name - File name
  */
-function initializeNavigationEnhancements() {
-    // Add scroll spy for table of contents
-    initializeScrollSpy();
-    
-    // Add smooth scrolling for TOC links
-    const tocLinks = document.querySelectorAll('.md-nav--secondary a[href^="#"]');
-    tocLinks.forEach(function(link) {
-        link.addEventListener('click', function(e) {
-            e.preventDefault();
-            const targetId = this.getAttribute('href').substring(1);
-            const targetElement = document.getElementById(targetId);
-            
-            if (targetElement) {
-                targetElement.scrollIntoView({
-                    behavior: 'smooth',
-                    block: 'start'
-                });
-                
-                // Update URL without triggering scroll
-                history.pushState(null, null, '#' + targetId);
-            }
-        });
-    });
+function downloadBlob(blob, name) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    link.style.display = 'none';
+    
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    
+    announceToScreenReader(translate('download.started', { name: name }));
 }
 
 /**
- * Initialize scroll spy for table of contents
+ * CRC-32 lookup table, built on first use
  */
-function initializeScrollSpy() {
-    const headings = document.querySelectorAll('h1[id], h2[id], h3[id], h4[id], h5[id], h6[id]');
-    const tocLinks = document.querySelectorAll('.md-nav--secondary a[href^="#"]');
-    
-    if (headings.length === 0 || tocLinks.length === 0) return;
-    
-    // Use throttled intersection observer for better performance
-    const updateActiveLink = throttle(function(entries) {
-        entries.forEach(function(entry) {
-            const id = entry.target.getAttribute('id');
-            const tocLink = document.querySelector('.md-nav--secondary a[href="#' + id + '"]');
-            
-            if (tocLink) {
-                if (entry.isIntersecting) {
-                    // Remove active class from all TOC links
-                    tocLinks.forEach(function(link) {
-                        link.classList.remove('md-nav__link--active');
-                    });
-                    
-                    // Add active class to current link
-                    tocLink.classList.add('md-nav__link--active');
-                }
+let crc32Table = null;
+
+/**
+ * CRC-32 checksum of zip entries
+ * @param {Uint8Array} data - Entry content
+ * @returns {number} Unsigned checksum
+ */
+function crc32(data) {
+    if (!crc32Table) {
+        crc32Table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
             }
-        });
-    }, 100);
-    
-    const observer = new IntersectionObserver(updateActiveLink, {
-        rootMargin: '-20% 0px -70% 0px',
-        threshold: 0
-    });
+            crc32Table[n] = c;
+        }
+    }
     
-    headings.forEach(function(heading) {
-        observer.observe(heading);
-    });
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+        crc = crc32Table[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
 }
 
 /**
- * Initialize breadcrumb navigation
+ * Build an uncompressed zip archive
+ * @param {Array} files - Entries as { path, text }
+ * @returns {Blob} Zip file
  */
-function initializeBreadcrumbNavigation() {
-    // Auto-generate breadcrumbs based on navigation structure
-    const currentPath = window.location.pathname;
-    const navItems = document.querySelectorAll('.md-nav--primary .md-nav__item');
-    
-    // Find current page in navigation
-    let breadcrumbs = [];
-    let currentPage = '';
-    
-    // Get page title
-    const pageTitle = document.querySelector('h1');
-    if (pageTitle) {
-        currentPage = pageTitle.textContent.trim();
-    }
-    
-    // Build breadcrumb trail
-    breadcrumbs.push({ text: 'Home', url: '/' });
-    
-    // Add intermediate breadcrumbs based on URL structure
-    const pathParts = currentPath.split('/').filter(part => part && part !== 'index.html');
-    let currentUrl = '';
-    
-    pathParts.forEach(function(part, index) {
-        currentUrl += '/' + part;
-        if (index < pathParts.length - 1) {
-            const formattedText = part.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
-            breadcrumbs.push({ text: formattedText, url: currentUrl });
-        }
+function createZipArchive(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const time = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const entries = [];
+    const directory = [];
+    let offset = 0;
+    
+    files.forEach(function(file) {
+        const name = encoder.encode(file.path);
+        const data = encoder.encode(file.text);
+        const crc = crc32(data);
+        
+        // Local file header; flag 0x0800 marks UTF-8 names
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true);
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        entries.push(local, name, data);
+        
+        // Central directory record
+        const record = new DataView(new ArrayBuffer(46));
+        record.setUint32(0, 0x02014B50, true);
+        record.setUint16(4, 20, true);
+        record.setUint16(6, 20, true);
+        record.setUint16(8, 0x0800, true);
+        record.setUint16(12, time, true);
+        record.setUint16(14, date, true);
+        record.setUint32(16, crc, true);
+        record.setUint32(20, data.length, true);
+        record.setUint32(24, data.length, true);
+        record.setUint16(28, name.length, true);
+        record.setUint32(42, offset, true);
+        directory.push(record, name);
+        
+        offset += 30 + name.length + data.length;
     });
     
-    // Add current page
-    if (currentPage) {
-        breadcrumbs.push({ text: currentPage, url: null });
-    }
+    const directorySize = directory.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
     
-    // Create breadcrumb HTML
-    if (breadcrumbs.length > 1) {
-        createBreadcrumbHTML(breadcrumbs);
-    }
+    return new Blob(entries.concat(directory, [end]), { type: 'application/zip' });
 }
 
 /**
- * Create breadcrumb HTML and insert into page
- * @param {Array} breadcrumbs - Array of breadcrumb objects
+ * localStorage key holding the reader's environment profile
  */
-function createBreadcrumbHTML(breadcrumbs) {
-    const breadcrumbNav = document.createElement('nav');
-    breadcrumbNav.className = 'breadcrumb-nav';
-    breadcrumbNav.setAttribute('aria-label', 'Breadcrumb navigation');
-    
-    let breadcrumbHTML = '';
+const ENVIRONMENT_PROFILE_STORAGE_KEY = 'enhanced-environment-profile';
+
+/**
+ * `${VAR}` references, including shell `${VAR:-default}` and Spring `${VAR:default}` forms
+ */
+const ENVIRONMENT_REFERENCE_PATTERN = /\$\{([A-Z_][A-Z0-9_]*)(?:[:?=+-][^}\n]*)?\}/g;
+
+/**
+ * `VAR=value` assignments at the start of a line, after an optional `export` or list dash
+ */
+const ENVIRONMENT_ASSIGNMENT_PATTERN = /^([ \t]*(?:export[ \t]+|-[ \t]+)?)([A-Z_][A-Z0-9_]*)=("[^"\n]*"|'[^'\n]*'|[^\s#'"]*)/gm;
+
+/**
+ * Variables whose values are typed into password fields, masked in the code
+ * and never written to localStorage
+ */
+const ENVIRONMENT_SECRET_PATTERN = /PASSWORD|SECRET|TOKEN|KEY/;
+
+/**
+ * Secret values typed by the reader, by profile name. Kept in memory only:
+ * they last until the next full page load.
+ */
+const environmentSecrets = {};
+
+/**
+ * Initialize the environment profile: a panel where readers keep dev, staging
+ * and prod values for the variables used in code blocks, substituted into
+ * `${VAR}` and `VAR=` placeholders when shown and copied
+ */
+function initializeEnvironmentProfile() {
+    const blocks = [];
+    const names = new Set();
     
-    breadcrumbs.forEach(function(crumb, index) {
-        if (index > 0) {
-            breadcrumbHTML += '<span class="breadcrumb-separator" aria-hidden="true">›</span>';
-        }
+    document.querySelectorAll('.md-typeset pre > code').forEach(function(code) {
+        if (code.closest('.error-code-card')) return;
         
-        if (crumb.url && index < breadcrumbs.length - 1) {
-            breadcrumbHTML += '<a href="' + crumb.url + '">' + crumb.text + '</a>';
-        } else {
-            breadcrumbHTML += '<span class="breadcrumb-current">' + crumb.text + '</span>';
-        }
+        const placeholders = findEnvironmentPlaceholders(code.textContent);
+        if (placeholders.length === 0) return;
+        
+        placeholders.forEach(placeholder => names.add(placeholder.name));
+        blocks.push(code);
     });
     
-    breadcrumbNav.innerHTML = breadcrumbHTML;
+    if (blocks.length === 0 || document.querySelector('.environment-profile')) return;
     
-    // Insert breadcrumb after the main heading
-    const mainHeading = document.querySelector('.md-content h1');
-    if (mainHeading) {
-        mainHeading.parentNode.insertBefore(breadcrumbNav, mainHeading.nextSibling);
-    }
+    createEnvironmentPanel(Array.from(names).sort());
+    blocks.forEach(createEnvironmentToggle);
+    renderEnvironmentBlocks();
 }
 
 /**
- * Initialize scroll progress indicator
+ * Find the placeholders of a code block
+ * @param {string} text - Code text
+ * @returns {Array} Placeholders as { name, kind, start, end } where start/end delimit the text to replace
  */
-function initializeScrollProgress() {
-    const tocNav = document.querySelector('.md-nav--secondary');
-    if (!tocNav) return;
-    
-    // Add progress class to TOC
-    tocNav.classList.add('toc-progress');
+function findEnvironmentPlaceholders(text) {
+    const placeholders = [];
+    let match;
     
-    // Update progress on scroll (throttled for performance)
-    const updateScrollProgress = throttle(function() {
-        const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
-        const scrollHeight = document.documentElement.scrollHeight - window.innerHeight;
-        const progress = (scrollTop / scrollHeight) * 100;
+    ENVIRONMENT_ASSIGNMENT_PATTERN.lastIndex = 0;
+    while ((match = ENVIRONMENT_ASSIGNMENT_PATTERN.exec(text))) {
+        const value = match[3];
         
-        tocNav.style.setProperty('--progress', Math.min(progress, 100) + '%');
-    }, 16); // ~60fps
+        // Command substitutions are computed, not placeholders
+        if (/^(\$\(|`)/.test(value)) continue;
+        
+        const quoted = /^["']/.test(value) ? 1 : 0;
+        const start = match.index + match[1].length + match[2].length + 1 + quoted;
+        placeholders.push({ name: match[2], kind: 'assignment', start: start, end: start + value.length - 2 * quoted });
+    }
     
-    window.addEventListener('scroll', updateScrollProgress, { passive: true });
-    updateScrollProgress(); // Initial call
+    ENVIRONMENT_REFERENCE_PATTERN.lastIndex = 0;
+    while ((match = ENVIRONMENT_REFERENCE_PATTERN.exec(text))) {
+        placeholders.push({ name: match[1], kind: 'reference', start: match.index, end: match.index + match[0].length });
+    }
+    
+    return placeholders;
 }
 
 /**
- * Initialize cross-reference system
+ * Resolve the replacements of a code block. An assigned value wins over
+ * references inside it, e.g. `DATABASE_PASSWORD=${PROD_DB_PASSWORD}`.
+ * @param {string} text - Code text
+ * @param {Object} values - Variable values, see getEnvironmentValues()
+ * @returns {Array} Replacements as { name, start, end, value }, in text order
  */
-function initializeCrossReferences() {
-    // Auto-generate cross-references based on content
-    const headings = document.querySelectorAll('h2[id], h3[id]');
-    const crossRefs = new Map();
-    
-    headings.forEach(function(heading) {
-        const id = heading.getAttribute('id');
-        const text = heading.textContent.trim();
-        const section = heading.closest('section') || heading.parentElement;
-        
-        // Find related sections based on keywords
-        const keywords = extractKeywords(text);
-        crossRefs.set(id, {
-            title: text,
-            keywords: keywords,
-            element: heading
-        });
-    });
-    
-    // Add cross-reference boxes to relevant sections
-    crossRefs.forEach(function(ref, id) {
-        const relatedRefs = findRelatedReferences(ref, crossRefs, id);
-        if (relatedRefs.length > 0) {
-            createCrossReferenceBox(ref.element, relatedRefs);
-        }
-    });
+function getEnvironmentReplacements(text, values) {
+    const placeholders = findEnvironmentPlaceholders(text).filter(placeholder => values[placeholder.name]);
+    const assignments = placeholders.filter(placeholder => placeholder.kind === 'assignment');
+    const references = placeholders.filter(placeholder => placeholder.kind === 'reference' &&
+        !assignments.some(assignment => placeholder.start < assignment.end && placeholder.end > assignment.start));
+    
+    return assignments.concat(references)
+        .sort((a, b) => a.start - b.start)
+        .map(placeholder => Object.assign({ value: values[placeholder.name] }, placeholder));
 }
 
 /**
- * Extract keywords from heading text
- * @param {string} text - Heading text
- * @returns {Array} Array of keywords
+ * Substitute environment values into code text
+ * @param {string} text - Code text
+ * @param {Object} values - Variable values
+ * @returns {string} Text with the placeholders replaced
  */
-function extractKeywords(text) {
-    const commonWords = ['the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by'];
-    return text.toLowerCase()
-        .split(/\s+/)
-        .filter(word => word.length > 3 && !commonWords.includes(word))
-        .map(word => word.replace(/[^\w]/g, ''));
+function substituteEnvironmentVariables(text, values) {
+    return getEnvironmentReplacements(text, values).reduceRight(function(result, replacement) {
+        return result.substring(0, replacement.start) + replacement.value + result.substring(replacement.end);
+    }, text);
 }
 
 /**
- * Find related references based on keywords
- * @param {Object} currentRef - Current reference object
- * @param {Map} allRefs - All references map
- * @param {string} currentId - Current reference ID
- * @returns {Array} Array of related references
+ * Fill in the reader's environment profile in code taken from a block,
+ * unless the block shows the raw placeholders
+ * @param {string} text - Code text
+ * @param {Element} block - Code block the text comes from
+ * @returns {string} Text with the profile values
  */
-function findRelatedReferences(currentRef, allRefs, currentId) {
-    const related = [];
-    
-    allRefs.forEach(function(ref, id) {
-        if (id === currentId) return;
-        
-        const commonKeywords = currentRef.keywords.filter(keyword => 
-            ref.keywords.includes(keyword)
-        );
-        
-        if (commonKeywords.length > 0) {
-            related.push({
-                id: id,
-                title: ref.title,
-                score: commonKeywords.length
-            });
-        }
-    });
+function applyEnvironmentProfile(text, block) {
+    if (!activeFeatures.has('environment-profile') || block.closest('[data-environment-view="raw"]')) {
+        return text;
+    }
     
-    return related.sort((a, b) => b.score - a.score).slice(0, 3);
+    return substituteEnvironmentVariables(text, getEnvironmentValues());
 }
 
 /**
- * Create cross-reference box
- * @param {Element} element - Element to insert cross-reference after
- * @param {Array} references - Array of related references
+ * Load the reader's environment profile
+ * @returns {Object} Profile as { active, values } where `values` holds the reader's values by profile name
  */
-function createCrossReferenceBox(element, references) {
-    const crossRefBox = document.createElement('div');
-    crossRefBox.className = 'cross-reference';
+function loadEnvironmentProfile() {
+    const profile = { active: '', values: {} };
     
-    let html = '<div class="cross-reference-title">Related Topics</div>';
-    html += '<div class="cross-reference-links">';
+    try {
+        const stored = JSON.parse(localStorage.getItem(ENVIRONMENT_PROFILE_STORAGE_KEY));
+        if (stored && typeof stored.values === 'object') {
+            profile.active = stored.active || '';
+            profile.values = stored.values || {};
+        }
+    } catch (err) {
+        // Storage disabled or corrupted: no profile selected
+    }
     
-    references.forEach(function(ref) {
-        html += '<a href="#' + ref.id + '" class="cross-reference-link">' + ref.title + '</a>';
+    // Secrets come from memory only, whatever an older version stored
+    Object.keys(profile.values).forEach(function(name) {
+        profile.values[name] = Object.assign(splitEnvironmentSecrets(profile.values[name]).values, environmentSecrets[name]);
+    });
+    Object.keys(environmentSecrets).forEach(function(name) {
+        if (!profile.values[name]) profile.values[name] = Object.assign({}, environmentSecrets[name]);
     });
     
-    html += '</div>';
-    crossRefBox.innerHTML = html;
-    
-    // Insert after the next paragraph or section
-    const nextElement = element.nextElementSibling;
-    if (nextElement) {
-        nextElement.parentNode.insertBefore(crossRefBox, nextElement.nextSibling);
-    }
+    return profile;
 }
 
-// Update the export object
-window.EnhancedFeatures = {
-    initializePerformanceOptimizations,
-    initializeAccessibilityFeatures,
-    initializeSearchAndDiscovery,
-    initializeCopyButtons,
-    initializeCodeBlockEnhancements,
-    initializeProgressIndicators,
-    initializeNavigationEnhancements,
-    initializeBreadcrumbNavigation,
-    initializeScrollProgress,
-    initializeCrossReferences,
-    initializeKeyboardNavigation,
-    initializeLazyLoading,
-    initializeProgressiveLoading,
-    initializeEnhancedSearch,
-    initializeContentFiltering,
-    announceToScreenReader,
-    debounce,
-    throttle,
-    copyCodeToClipboard
-};
-/*
-*
- * Initialize search and discovery features
+/**
+ * Persist the reader's environment profile, keeping secrets in memory
+ * @param {Object} profile - Profile as { active, values }
  */
-function initializeSearchAndDiscovery() {
-    // Initialize enhanced search
-    initializeEnhancedSearch();
-    
-    // Initialize content tagging and filtering
-    initializeContentFiltering();
-    
-    // Initialize recently updated indicators
-    initializeRecentlyUpdatedIndicators();
-    
-    // Initialize content categorization
-    initializeContentCategorization();
+function saveEnvironmentProfile(profile) {
+    const stored = { active: profile.active, values: {} };
+    
+    Object.keys(environmentSecrets).forEach(name => delete environmentSecrets[name]);
+    Object.keys(profile.values).forEach(function(name) {
+        const split = splitEnvironmentSecrets(profile.values[name]);
+        stored.values[name] = split.values;
+        environmentSecrets[name] = split.secrets;
+    });
     
-    // Initialize change tracking
-    initializeChangeTracking();
+    try {
+        localStorage.setItem(ENVIRONMENT_PROFILE_STORAGE_KEY, JSON.stringify(stored));
+    } catch (err) {
+        console.warn('Unable to save environment profile: ', err);
+    }
 }
 
 /**
- * Initialize enhanced search functionality
+ * Separate the secret values of a profile from the others
+ * @param {Object} values - Values by variable name
+ * @returns {Object} { values, secrets }
  */
-function initializeEnhancedSearch() {
-    // Create enhanced search interface
-    createEnhancedSearchInterface();
+function splitEnvironmentSecrets(values) {
+    const split = { values: {}, secrets: {} };
     
-    // Initialize search index
-    buildSearchIndex();
+    Object.keys(values || {}).forEach(function(variable) {
+        const target = ENVIRONMENT_SECRET_PATTERN.test(variable) ? split.secrets : split.values;
+        target[variable] = values[variable];
+    });
     
-    // Initialize search functionality
-    setupSearchFunctionality();
+    return split;
 }
 
 /**
- * Create enhanced search interface
+ * Values of the active profile: the reader's values over the defaults from
+ * `extra.enhanced_features.environment_profiles` in mkdocs.yml
+ * @returns {Object} Values by variable name, empty when no profile is selected
  */
-function createEnhancedSearchInterface() {
-    // Find existing search input or create new one
-    let searchContainer = document.querySelector('.md-search');
-    
-    if (!searchContainer) {
-        // Create search container if it doesn't exist
-        searchContainer = document.createElement('div');
-        searchContainer.className = 'enhanced-search-container';
-        
-        const mainContent = document.querySelector('.md-content');
-        if (mainContent) {
-            mainContent.insertBefore(searchContainer, mainContent.firstChild);
-        }
-    }
-    
-    // Create enhanced search input
-    const searchHTML = `
-        <div class="enhanced-search-container">
-            <div class="enhanced-search-icon">🔍</div>
-            <input type="text" 
-                   class="enhanced-search-input" 
-                   placeholder="Search documentation..." 
-                   aria-label="Search documentation"
-                   autocomplete="off">
-            <div class="search-results-container" role="listbox" aria-label="Search results">
-                <div class="search-suggestions">
-                    <div class="search-suggestions-title">Popular topics:</div>
-                    <div class="search-suggestion-tags">
-                        <span class="search-suggestion-tag" data-query="configuration">Configuration</span>
-                        <span class="search-suggestion-tag" data-query="database">Database</span>
-                        <span class="search-suggestion-tag" data-query="docker">Docker</span>
-                        <span class="search-suggestion-tag" data-query="troubleshooting">Troubleshooting</span>
-                        <span class="search-suggestion-tag" data-query="environment">Environment</span>
-                    </div>
-                </div>
-            </div>
-        </div>
-    `;
+function getEnvironmentValues() {
+    const profile = loadEnvironmentProfile();
+    const defaults = getEnhancedFeaturesConfig().environment_profiles || {};
+    if (!profile.active || !defaults[profile.active]) return {};
     
-    // Insert enhanced search
-    const contentArea = document.querySelector('.md-content__inner');
-    if (contentArea) {
-        contentArea.insertAdjacentHTML('afterbegin', searchHTML);
-    }
+    return Object.assign({}, defaults[profile.active], profile.values[profile.active]);
 }
 
 /**
- * Build search index from page content
+ * Create the environment profile panel at the top of the page
+ * @param {Array} names - Variables used on the page
  */
-function buildSearchIndex() {
-    const searchIndex = [];
-    
-    // Index headings
-    const headings = document.querySelectorAll('h1, h2, h3, h4, h5, h6');
-    headings.forEach(function(heading) {
-        const id = heading.getAttribute('id');
-        const text = heading.textContent.trim();
-        const level = parseInt(heading.tagName.charAt(1));
+function createEnvironmentPanel(names) {
+    const profileNames = Object.keys(getEnhancedFeaturesConfig().environment_profiles || {});
+    const panel = document.createElement('details');
+    panel.className = 'environment-profile';
+    
+    const summary = document.createElement('summary');
+    panel.appendChild(summary);
+    
+    const help = document.createElement('p');
+    help.className = 'environment-profile-help';
+    help.textContent = translate('environment.help');
+    panel.appendChild(help);
+    
+    const profileLabel = document.createElement('label');
+    profileLabel.className = 'environment-profile-select';
+    profileLabel.textContent = translate('environment.profile') + ' ';
+    const select = document.createElement('select');
+    [''].concat(profileNames).forEach(function(name) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name || translate('environment.off');
+        select.appendChild(option);
+    });
+    profileLabel.appendChild(select);
+    panel.appendChild(profileLabel);
+    
+    const fields = document.createElement('div');
+    fields.className = 'environment-profile-fields';
+    names.forEach(function(name) {
+        const label = document.createElement('label');
+        label.className = 'environment-profile-field';
         
-        if (text && id) {
-            searchIndex.push({
-                type: 'heading',
-                title: text,
-                content: text,
-                url: '#' + id,
-                level: level,
-                element: heading
-            });
-        }
+        const labelText = document.createElement('code');
+        labelText.textContent = name;
+        label.appendChild(labelText);
+        
+        const input = document.createElement('input');
+        input.type = ENVIRONMENT_SECRET_PATTERN.test(name) ? 'password' : 'text';
+        input.name = name;
+        input.autocomplete = 'off';
+        input.spellcheck = false;
+        label.appendChild(input);
+        
+        fields.appendChild(label);
     });
+    panel.appendChild(fields);
+    
+    const reset = document.createElement('button');
+    reset.type = 'button';
+    reset.className = 'environment-profile-reset';
+    reset.textContent = translate('environment.reset');
+    panel.appendChild(reset);
+    
+    // Show the values of the selected profile, with its defaults as placeholders
+    const update = function() {
+        const profile = loadEnvironmentProfile();
+        const defaults = (getEnhancedFeaturesConfig().environment_profiles || {})[profile.active] || {};
+        const values = profile.values[profile.active] || {};
+        
+        select.value = profileNames.includes(profile.active) ? profile.active : '';
+        summary.textContent = translate('environment.summary', { profile: select.value || translate('environment.off') });
+        fields.querySelectorAll('input').forEach(function(input) {
+            input.disabled = !select.value;
+            input.value = values[input.name] || '';
+            input.placeholder = defaults[input.name] || '';
+        });
+        reset.disabled = !select.value;
+    };
     
-    // Index paragraphs and content
-    const paragraphs = document.querySelectorAll('p, li, td');
-    paragraphs.forEach(function(paragraph) {
-        const text = paragraph.textContent.trim();
-        if (text.length > 20) {
-            const nearestHeading = findNearestHeading(paragraph);
-            searchIndex.push({
-                type: 'content',
-                title: nearestHeading ? nearestHeading.textContent.trim() : 'Content',
-                content: text,
-                url: nearestHeading ? '#' + nearestHeading.getAttribute('id') : '#',
-                element: paragraph
-            });
-        }
+    select.addEventListener('change', function() {
+        const profile = loadEnvironmentProfile();
+        profile.active = select.value;
+        saveEnvironmentProfile(profile);
+        update();
+        renderEnvironmentBlocks();
+        announceToScreenReader(summary.textContent);
     });
     
-    // Index code blocks
-    const codeBlocks = document.querySelectorAll('pre code');
-    codeBlocks.forEach(function(code) {
-        const text = code.textContent.trim();
-        if (text) {
-            const nearestHeading = findNearestHeading(code);
-            searchIndex.push({
-                type: 'code',
-                title: nearestHeading ? nearestHeading.textContent.trim() : 'Code Example',
-                content: text,
-                url: nearestHeading ? '#' + nearestHeading.getAttribute('id') : '#',
-                element: code
-            });
+    fields.addEventListener('input', debounce(function(e) {
+        const profile = loadEnvironmentProfile();
+        if (!profile.active) return;
+        
+        const values = profile.values[profile.active] || {};
+        if (e.target.value) {
+            values[e.target.name] = e.target.value;
+        } else {
+            delete values[e.target.name];
         }
+        profile.values[profile.active] = values;
+        saveEnvironmentProfile(profile);
+        renderEnvironmentBlocks();
+    }, 300));
+    
+    reset.addEventListener('click', function() {
+        const profile = loadEnvironmentProfile();
+        delete profile.values[profile.active];
+        saveEnvironmentProfile(profile);
+        update();
+        renderEnvironmentBlocks();
     });
     
-    // Store search index globally
-    window.searchIndex = searchIndex;
+    update();
+    
+    insertAfterPageTitle(panel);
 }
 
 /**
- * Find nearest heading for an element
- * @param {Element} element - Element to find heading for
- * @returns {Element|null} Nearest heading element
+ * Insert an element after the page title and breadcrumbs
+ * @param {Element} element - Element to insert
  */
-function findNearestHeading(element) {
-    let current = element;
+function insertAfterPageTitle(element) {
+    const heading = document.querySelector('.md-content h1');
+    const anchor = heading && heading.nextElementSibling && heading.nextElementSibling.matches('.breadcrumb-nav') ?
+        heading.nextElementSibling : heading;
     
-    while (current && current !== document.body) {
-        const heading = current.querySelector('h1, h2, h3, h4, h5, h6');
-        if (heading) {
-            return heading;
-        }
-        
-        // Check previous siblings
-        let sibling = current.previousElementSibling;
-        while (sibling) {
-            if (/^h[1-6]$/i.test(sibling.tagName)) {
-                return sibling;
-            }
-            sibling = sibling.previousElementSibling;
-        }
-        
-        current = current.parentElement;
+    if (anchor) {
+        anchor.parentNode.insertBefore(element, anchor.nextSibling);
+    } else {
+        const content = document.querySelector('.md-content__inner');
+        if (content) content.insertBefore(element, content.firstChild);
     }
-    
-    return null;
 }
 
 /**
- * Setup search functionality
+ * Add the raw/substituted toggle to a code block
+ * @param {Element} code - Code element with placeholders
  */
-function setupSearchFunctionality() {
+function createEnvironmentToggle(code) {
+    const block = code.closest('.highlight') || code.parentElement;
+    block.setAttribute('data-environment-view', 'substituted');
+    block.style.position = 'relative';
+    
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'environment-toggle';
+    toggle.addEventListener('click', function() {
+        const raw = block.getAttribute('data-environment-view') !== 'raw';
+        block.setAttribute('data-environment-view', raw ? 'raw' : 'substituted');
+        renderEnvironmentBlock(code);
+    });
+    
+    block.appendChild(toggle);
+}
+
+/**
+ * Original markup of the code blocks, restored before each substitution
+ */
+const rawCodeMarkup = new WeakMap();
+
+/**
+ * Render every code block with placeholders for the active profile
+ */
+function renderEnvironmentBlocks() {
+    document.querySelectorAll('[data-environment-view]').forEach(function(block) {
+        const code = block.querySelector('pre > code');
+        if (code) renderEnvironmentBlock(code);
+    });
+}
+
+/**
+ * Render one code block, replacing the placeholders with highlighted values
+ * unless the reader toggled it to the raw view
+ * @param {Element} code - Code element
+ */
+function renderEnvironmentBlock(code) {
+    const block = code.closest('[data-environment-view]');
+    const toggle = block.querySelector('.environment-toggle');
+    const profile = loadEnvironmentProfile().active;
+    const values = getEnvironmentValues();
+    
+    if (!rawCodeMarkup.has(code)) {
+        rawCodeMarkup.set(code, code.innerHTML);
+    }
+    code.innerHTML = rawCodeMarkup.get(code);
+    
+    const replacements = getEnvironmentReplacements(code.textContent, values);
+    const raw = block.getAttribute('data-environment-view') === 'raw';
+    
+    // The toggle only makes sense when the profile fills in something
+    toggle.hidden = replacements.length === 0;
+    toggle.textContent = translate(raw ? 'environment.raw' : 'environment.substituted', { profile: profile });
+    toggle.setAttribute('aria-pressed', String(!raw));
+    toggle.setAttribute('title', translate(raw ? 'environment.showSubstituted' : 'environment.showRaw', { profile: profile }));
+    
+    if (raw) return;
+    
+    // Replace from the end so earlier offsets stay valid
+    replacements.slice().reverse().forEach(function(replacement) {
+        const range = createCodeTextRange(code, replacement.start, replacement.end);
+        if (!range) return;
+        
+        // Secrets are masked here and only filled in when copying
+        const secret = ENVIRONMENT_SECRET_PATTERN.test(replacement.name);
+        const mark = document.createElement('mark');
+        mark.className = secret ? 'environment-value environment-secret' : 'environment-value';
+        mark.setAttribute('data-raw', range.toString());
+        mark.setAttribute('title', `${replacement.name} (${profile})`);
+        mark.textContent = secret ? '••••••••' : replacement.value;
+        
+        range.deleteContents();
+        range.insertNode(mark);
+    });
+}
+
+/**
+ * Initialize progress indicators
+ */
+function initializeProgressIndicators() {
+    const progressIndicators = document.querySelectorAll('.progress-indicator');
+    
+    progressIndicators.forEach(function(indicator) {
+        const steps = indicator.querySelectorAll('.progress-step');
+        let activeIndex = -1;
+        
+        // Find active step
+        steps.forEach(function(step, index) {
+            if (step.classList.contains('active')) {
+                activeIndex = index;
+            }
+        });
+        
+        // Mark previous steps as completed
+        if (activeIndex > 0) {
+            for (let i = 0; i < activeIndex; i++) {
+                steps[i].classList.add('completed');
+            }
+        }
+    });
+}
+
+/**
+ * Utility function to add smooth scrolling to anchor links
+ */
+function initializeSmoothScrolling() {
+    const anchorLinks = document.querySelectorAll('a[href^="#"]');
+    
+    anchorLinks.forEach(function(link) {
+        link.addEventListener('click', function(e) {
+            const targetId = this.getAttribute('href').substring(1);
+            const targetElement = document.getElementById(targetId);
+            
+            if (targetElement) {
+                e.preventDefault();
+                targetElement.scrollIntoView({
+                    behavior: 'smooth',
+                    block: 'start'
+                });
+            }
+        });
+    });
+}
+
+/**
+ * Initialize comprehensive keyboard navigation for interactive elements
+ */
+function initializeKeyboardNavigation() {
+    // Add keyboard support for copy buttons
+    const copyButtons = document.querySelectorAll('.copy-button');
+    
+    copyButtons.forEach(function(button) {
+        // Ensure button is focusable
+        button.setAttribute('tabindex', '0');
+        button.setAttribute('role', 'button');
+        
+        button.addEventListener('keydown', function(e) {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                button.click();
+            }
+        });
+    });
+    
+    // Add keyboard support for cross-reference links
+    const crossRefLinks = document.querySelectorAll('.cross-reference-link');
+    crossRefLinks.forEach(function(link) {
+        link.addEventListener('keydown', function(e) {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                link.click();
+            }
+        });
+    });
+    
+    // Add keyboard support for code tabs
+    const codeTabs = document.querySelectorAll('.code-tab');
+    codeTabs.forEach(function(tab, index) {
+        tab.setAttribute('tabindex', '0');
+        tab.setAttribute('role', 'tab');
+        tab.setAttribute('aria-selected', tab.classList.contains('active') ? 'true' : 'false');
+        
+        tab.addEventListener('keydown', function(e) {
+            const tabs = Array.from(tab.parentElement.children);
+            let newIndex = index;
+            
+            switch(e.key) {
+                case 'Enter':
+                case ' ':
+                    e.preventDefault();
+                    tab.click();
+                    break;
+                case 'ArrowLeft':
+                    e.preventDefault();
+                    newIndex = index > 0 ? index - 1 : tabs.length - 1;
+                    tabs[newIndex].focus();
+                    break;
+                case 'ArrowRight':
+                    e.preventDefault();
+                    newIndex = index < tabs.length - 1 ? index + 1 : 0;
+                    tabs[newIndex].focus();
+                    break;
+                case 'Home':
+                    e.preventDefault();
+                    tabs[0].focus();
+                    break;
+                case 'End':
+                    e.preventDefault();
+                    tabs[tabs.length - 1].focus();
+                    break;
+            }
+        });
+    });
+    
+    // Add keyboard navigation for table of contents
+    initializeTOCKeyboardNavigation();
+    
+    // Add escape key handler for dismissible elements
+    listenUntilTeardown(document, 'keydown', function(e) {
+        if (e.key === 'Escape') {
+            // Close any open modals or dropdowns
+            const activeElements = document.querySelectorAll('.active, .open, .expanded');
+            activeElements.forEach(function(element) {
+                if (element.classList.contains('dismissible')) {
+                    element.classList.remove('active', 'open', 'expanded');
+                }
+            });
+        }
+    });
+}
+
+/**
+ * Initialize keyboard navigation for table of contents
+ */
+function initializeTOCKeyboardNavigation() {
+    const tocLinks = document.querySelectorAll('.md-nav--secondary .md-nav__link');
+    
+    tocLinks.forEach(function(link, index) {
+        link.addEventListener('keydown', function(e) {
+            const links = Array.from(document.querySelectorAll('.md-nav--secondary .md-nav__link'));
+            let newIndex = index;
+            
+            switch(e.key) {
+                case 'ArrowUp':
+                    e.preventDefault();
+                    newIndex = index > 0 ? index - 1 : links.length - 1;
+                    links[newIndex].focus();
+                    break;
+                case 'ArrowDown':
+                    e.preventDefault();
+                    newIndex = index < links.length - 1 ? index + 1 : 0;
+                    links[newIndex].focus();
+                    break;
+                case 'Home':
+                    e.preventDefault();
+                    links[0].focus();
+                    break;
+                case 'End':
+                    e.preventDefault();
+                    links[links.length - 1].focus();
+                    break;
+            }
+        });
+    });
+}
+
+/**
+ * Initialize navigation enhancements
+ */
+function initializeNavigationEnhancements() {
+    // Add scroll spy for table of contents
+    initializeScrollSpy();
+    
+    // Add smooth scrolling for TOC links
+    const tocLinks = document.querySelectorAll('.md-nav--secondary a[href^="#"]');
+    tocLinks.forEach(function(link) {
+        link.addEventListener('click', function(e) {
+            e.preventDefault();
+            const targetId = this.getAttribute('href').substring(1);
+            const targetElement = document.getElementById(targetId);
+            
+            if (targetElement) {
+                targetElement.scrollIntoView({
+                    behavior: 'smooth',
+                    block: 'start'
+                });
+                
+                // Update URL without triggering scroll
+                history.pushState(null, null, '#' + targetId);
+            }
+        });
+    });
+}
+
+/**
+ * Initialize scroll spy for table of contents
+ */
+function initializeScrollSpy() {
+    const headings = document.querySelectorAll('h1[id], h2[id], h3[id], h4[id], h5[id], h6[id]');
+    const tocLinks = document.querySelectorAll('.md-nav--secondary a[href^="#"]');
+    
+    if (headings.length === 0 || tocLinks.length === 0) return;
+    
+    // Use throttled intersection observer for better performance
+    const updateActiveLink = throttle(function(entries) {
+        entries.forEach(function(entry) {
+            const id = entry.target.getAttribute('id');
+            const tocLink = document.querySelector('.md-nav--secondary a[href="#' + id + '"]');
+            
+            if (tocLink) {
+                if (entry.isIntersecting) {
+                    // Remove active class from all TOC links
+                    tocLinks.forEach(function(link) {
+                        link.classList.remove('md-nav__link--active');
+                    });
+                    
+                    // Add active class to current link
+                    tocLink.classList.add('md-nav__link--active');
+                }
+            }
+        });
+    }, 100);
+    
+    const observer = observeUntilTeardown(new IntersectionObserver(updateActiveLink, {
+        rootMargin: '-20% 0px -70% 0px',
+        threshold: 0
+    }));
+    
+    headings.forEach(function(heading) {
+        observer.observe(heading);
+    });
+}
+
+/**
+ * Initialize breadcrumb navigation from the `nav:` tree Material renders in `.md-nav--primary`
+ */
+function initializeBreadcrumbNavigation() {
+    if (document.querySelector('.breadcrumb-nav')) return;
+    
+    const breadcrumbs = getNavigationBreadcrumbs();
+    
+    // The home page has no trail
+    if (breadcrumbs.length > 1) {
+        createBreadcrumbHTML(breadcrumbs);
+        createBreadcrumbStructuredData(breadcrumbs);
+    }
+}
+
+/**
+ * Build the breadcrumb trail of the current page: the home page, each
+ * enclosing nav section and the page itself. Sections link to their index
+ * page (navigation.indexes) and are plain labels otherwise.
+ * @returns {Array} Breadcrumbs as { text, url } with a null url when there is no page to link to
+ */
+function getNavigationBreadcrumbs() {
+    const nav = document.querySelector('.md-nav--primary');
+    if (!nav) return [];
+    
+    const baseUrl = getSiteBaseUrl();
+    const currentPath = normalizePagePath(window.location.pathname);
+    const pageLinks = Array.from(nav.querySelectorAll('a.md-nav__link[href]'))
+        .filter(link => !link.closest('.md-nav--secondary'));
+    const isCurrent = link => normalizePagePath(new URL(link.href, window.location.href).pathname) === currentPath;
+    
+    const currentLink = pageLinks.find(isCurrent);
+    if (!currentLink) return [];
+    
+    const homeLink = pageLinks.find(link => new URL(link.href, window.location.href).href === baseUrl);
+    const breadcrumbs = [{ text: homeLink ? getNavLinkText(homeLink) : translate('breadcrumb.home'), url: baseUrl }];
+    
+    // Enclosing sections, outermost first
+    const sections = [];
+    let item = currentLink.closest('.md-nav__item').parentElement.closest('.md-nav__item');
+    while (item && nav.contains(item)) {
+        sections.unshift(item);
+        item = item.parentElement.closest('.md-nav__item');
+    }
+    
+    sections.forEach(function(section) {
+        const indexLink = section.querySelector(':scope > .md-nav__container > a.md-nav__link[href]');
+        const label = indexLink || section.querySelector(':scope > .md-nav__link');
+        if (!label || indexLink === currentLink) return;
+        
+        breadcrumbs.push({
+            text: getNavLinkText(label),
+            url: indexLink ? new URL(indexLink.href, window.location.href).href : null
+        });
+    });
+    
+    if (currentLink !== homeLink) {
+        breadcrumbs.push({ text: getNavLinkText(currentLink), url: window.location.href.split('#')[0] });
+    }
+    
+    return breadcrumbs;
+}
+
+/**
+ * Title of a navigation entry, without its icons
+ * @param {Element} link - `.md-nav__link` element
+ * @returns {string} Title
+ */
+function getNavLinkText(link) {
+    const title = link.querySelector('.md-ellipsis') || link;
+    return title.textContent.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Create breadcrumb navigation and insert it into the page
+ * @param {Array} breadcrumbs - Array of breadcrumb objects
+ */
+function createBreadcrumbHTML(breadcrumbs) {
+    const breadcrumbNav = document.createElement('nav');
+    breadcrumbNav.className = 'breadcrumb-nav';
+    breadcrumbNav.setAttribute('aria-label', translate('breadcrumb.label'));
+    
+    breadcrumbs.forEach(function(crumb, index) {
+        if (index > 0) {
+            const separator = document.createElement('span');
+            separator.className = 'breadcrumb-separator';
+            separator.setAttribute('aria-hidden', 'true');
+            separator.textContent = '›';
+            breadcrumbNav.appendChild(separator);
+        }
+        
+        const isCurrent = index === breadcrumbs.length - 1;
+        const element = document.createElement(crumb.url && !isCurrent ? 'a' : 'span');
+        element.textContent = crumb.text;
+        
+        if (isCurrent) {
+            element.className = 'breadcrumb-current';
+            element.setAttribute('aria-current', 'page');
+        } else if (crumb.url) {
+            element.href = crumb.url;
+        } else {
+            element.className = 'breadcrumb-section';
+        }
+        
+        breadcrumbNav.appendChild(element);
+    });
+    
+    // Insert breadcrumb after the main heading
+    const mainHeading = document.querySelector('.md-content h1');
+    if (mainHeading) {
+        mainHeading.parentNode.insertBefore(breadcrumbNav, mainHeading.nextSibling);
+    }
+}
+
+/**
+ * Describe the breadcrumb trail as schema.org BreadcrumbList JSON-LD.
+ * Sections without a page are left out, since every list item needs a URL.
+ * @param {Array} breadcrumbs - Array of breadcrumb objects
+ */
+function createBreadcrumbStructuredData(breadcrumbs) {
+    const items = breadcrumbs.filter(crumb => crumb.url).map(function(crumb, index) {
+        return {
+            '@type': 'ListItem',
+            position: index + 1,
+            name: crumb.text,
+            item: crumb.url
+        };
+    });
+    
+    let script = document.getElementById('breadcrumb-structured-data');
+    if (!script) {
+        script = document.createElement('script');
+        script.id = 'breadcrumb-structured-data';
+        script.type = 'application/ld+json';
+        document.head.appendChild(script);
+    }
+    
+    script.textContent = JSON.stringify({
+        '@context': 'https://schema.org',
+        '@type': 'BreadcrumbList',
+        itemListElement: items
+    });
+    
+    // The head outlives instant navigation
+    onPageTeardown(() => script.remove());
+}
+
+/**
+ * Initialize scroll progress indicator
+ */
+function initializeScrollProgress() {
+    const tocNav = document.querySelector('.md-nav--secondary');
+    if (!tocNav) return;
+    
+    // Add progress class to TOC
+    tocNav.classList.add('toc-progress');
+    
+    // Update progress on scroll (throttled for performance)
+    const updateScrollProgress = throttle(function() {
+        const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
+        const scrollHeight = document.documentElement.scrollHeight - window.innerHeight;
+        const progress = (scrollTop / scrollHeight) * 100;
+        
+        tocNav.style.setProperty('--progress', Math.min(progress, 100) + '%');
+    }, 16); // ~60fps
+    
+    listenUntilTeardown(window, 'scroll', updateScrollProgress, { passive: true });
+    updateScrollProgress(); // Initial call
+}
+
+/**
+ * Initialize cross-reference system: link each h2 section to related
+ * sections on other pages, ranked by the search worker from the site index.
+ *
+ * Authors can adjust the links with attributes on the heading (attr_list):
+ * `data-related-pin` lists URLs to always show first, `data-related-suppress`
+ * lists URLs (or whole pages) to never show, and "*" suppresses automatic links.
+ * URLs are resolved against the current page, e.g. "../docker/containerization/#compose".
+ */
+function initializeCrossReferences() {
+    const headings = Array.from(document.querySelectorAll('.md-typeset h2[id]'));
+    if (headings.length === 0) return;
+    
+    const sections = headings.map(function(heading) {
+        const suppressed = parseRelatedUrls(heading.getAttribute('data-related-suppress'));
+        
+        return {
+            id: heading.id,
+            text: getSectionText(heading, true),
+            pinned: parseRelatedUrls(heading.getAttribute('data-related-pin')),
+            suppressed: suppressed.filter(url => url !== '*'),
+            suppressAll: suppressed.includes('*')
+        };
+    });
+    
+    // Reload the site index for the next page so it leaves that page out,
+    // also when the search feature is disabled and does not reset it
+    onPageTeardown(function() {
+        window.siteSearchIndexPromise = null;
+    });
+    
+    loadSiteSearchIndex()
+        .then(function(site) {
+            if (!site) return [];
+            return getSearchClient().request('related', { sections: sections });
+        })
+        .then(forCurrentPage(function(results) {
+            results.forEach(function(result) {
+                const references = result.pinned.map(resolvePinnedReference).concat(result.related);
+                if (references.length > 0) {
+                    createCrossReferenceBox(document.getElementById(result.id), references);
+                }
+            });
+        }))
+        .catch(function(err) {
+            console.warn('Unable to find related topics: ', err);
+        });
+}
+
+/**
+ * Resolve a comma or space separated list of related topic URLs
+ * @param {string|null} value - Attribute value
+ * @returns {Array} Absolute URLs, or "*"
+ */
+function parseRelatedUrls(value) {
+    return (value || '').split(/[,\s]+/).filter(Boolean).map(function(url) {
+        return url === '*' ? url : new URL(url, window.location.href).href;
+    });
+}
+
+/**
+ * Fill in the title of a pinned link the site index does not know,
+ * such as a section of the current page
+ * @param {Object} reference - Pinned link as { url, title, pageTitle }
+ * @returns {Object} Link with a title
+ */
+function resolvePinnedReference(reference) {
+    if (reference.title) return reference;
+    
+    const url = new URL(reference.url);
+    const target = url.pathname === window.location.pathname && url.hash ?
+        document.getElementById(decodeURIComponent(url.hash.substring(1))) : null;
+    const title = target ? getSnapshotText(target).trim() : url.pathname.split('/').filter(Boolean).pop() || url.href;
+    
+    return Object.assign({}, reference, { title: title, pinned: true });
+}
+
+/**
+ * Create cross-reference box
+ * @param {Element} element - Element to insert cross-reference after
+ * @param {Array} references - Links as { url, title, pageTitle }
+ */
+function createCrossReferenceBox(element, references) {
+    const crossRefBox = document.createElement('div');
+    crossRefBox.className = 'cross-reference';
+    
+    const title = document.createElement('div');
+    title.className = 'cross-reference-title';
+    title.textContent = translate('related.title');
+    crossRefBox.appendChild(title);
+    
+    const links = document.createElement('div');
+    links.className = 'cross-reference-links';
+    
+    references.forEach(function(ref) {
+        const link = document.createElement('a');
+        link.className = 'cross-reference-link';
+        link.href = ref.url;
+        link.textContent = ref.title;
+        
+        // Name the page when the section title alone could be ambiguous
+        if (ref.pageTitle && ref.pageTitle !== ref.title) {
+            const page = document.createElement('span');
+            page.className = 'cross-reference-page';
+            page.textContent = ref.pageTitle;
+            link.appendChild(page);
+        }
+        
+        link.setAttribute('aria-label', translate('related.linkLabel', {
+            title: (ref.pageTitle && ref.pageTitle !== ref.title ? ref.pageTitle + ' › ' : '') + ref.title
+        }));
+        links.appendChild(link);
+    });
+    
+    crossRefBox.appendChild(links);
+    
+    // Insert after the next paragraph or section
+    const nextElement = element.nextElementSibling;
+    if (nextElement) {
+        nextElement.parentNode.insertBefore(crossRefBox, nextElement.nextSibling);
+    }
+}
+
+/**
+ * Initialize enhanced search functionality
+ */
+function initializeEnhancedSearch() {
+    // Create enhanced search interface
+    createEnhancedSearchInterface();
+    
+    // Initialize search index
+    buildSearchIndex();
+
+    // Merge the prebuilt site-wide index so other pages are searchable too
+    loadSiteSearchIndex();
+    
+    // The next page is left out of the site-wide index instead of this one
+    onPageTeardown(function() {
+        window.siteSearchIndexPromise = null;
+        window.searchElements = null;
+    });
+
+    // Initialize search functionality
+    setupSearchFunctionality();
+}
+
+/**
+ * Create enhanced search interface
+ */
+function createEnhancedSearchInterface() {
+    if (document.querySelector('.enhanced-search-input')) return;
+    
+    // Find existing search input or create new one
+    let searchContainer = document.querySelector('.md-search');
+    
+    if (!searchContainer) {
+        // Create search container if it doesn't exist
+        searchContainer = document.createElement('div');
+        searchContainer.className = 'enhanced-search-container';
+        
+        const mainContent = document.querySelector('.md-content');
+        if (mainContent) {
+            mainContent.insertBefore(searchContainer, mainContent.firstChild);
+        }
+    }
+    
+    // Create enhanced search input
+    const searchHTML = `
+        <div class="enhanced-search-container">
+            <div class="enhanced-search-icon">🔍</div>
+            <input type="text" 
+                   class="enhanced-search-input" 
+                   placeholder="${escapeHtml(translate('search.placeholder'))}" 
+                   aria-label="${escapeHtml(translate('search.label'))}"
+                   role="combobox"
+                   aria-autocomplete="list"
+                   aria-expanded="false"
+                   aria-controls="search-results-listbox"
+                   autocomplete="off">
+            <div class="search-results-container" id="search-results-listbox" role="listbox" aria-label="${escapeHtml(translate('search.results'))}">
+                <div class="search-recent" hidden>
+                    <div class="search-suggestions-title">${escapeHtml(translate('search.recent'))}</div>
+                    <div class="search-recent-items"></div>
+                    <button type="button" class="search-history-clear">${escapeHtml(translate('search.clearHistory'))}</button>
+                </div>
+                <div class="search-suggestions">
+                    <div class="search-suggestions-title">${escapeHtml(translate('search.popular'))}</div>
+                    <div class="search-suggestion-tags"></div>
+                </div>
+            </div>
+        </div>
+    `;
+    
+    // Insert enhanced search
+    const contentArea = document.querySelector('.md-content__inner');
+    if (contentArea) {
+        contentArea.insertAdjacentHTML('afterbegin', searchHTML);
+    }
+}
+
+/**
+ * Build search index from page content. Only serialized text is sent to the
+ * search worker; the elements stay on the main thread in window.searchElements.
+ * @returns {Promise} Resolves once the worker has indexed the page
+ */
+function buildSearchIndex() {
+    const entries = [];
+    const elements = new Map();
+    
+    const addEntry = function(element, entry) {
+        // Skip the search interface itself
+        if (element.closest('.enhanced-search-container')) return;
+        
+        entry.id = 'page-' + entries.length;
+        elements.set(entry.id, element);
+        entries.push(entry);
+    };
+    
+    // Index headings
+    const headings = document.querySelectorAll('h1, h2, h3, h4, h5, h6');
+    headings.forEach(function(heading) {
+        const id = heading.getAttribute('id');
+        const text = heading.textContent.trim();
+        const level = parseInt(heading.tagName.charAt(1));
+        
+        if (text && id) {
+            addEntry(heading, {
+                type: 'heading',
+                title: text,
+                content: text,
+                url: '#' + id,
+                level: level
+            });
+        }
+    });
+    
+    // Index paragraphs and content
+    const paragraphs = document.querySelectorAll('p, li, td');
+    paragraphs.forEach(function(paragraph) {
+        const text = paragraph.textContent.trim();
+        if (text.length > 20) {
+            const nearestHeading = findNearestHeading(paragraph);
+            addEntry(paragraph, {
+                type: 'content',
+                title: nearestHeading ? nearestHeading.textContent.trim() : translate('search.type.content'),
+                content: text,
+                url: nearestHeading ? '#' + nearestHeading.getAttribute('id') : '#'
+            });
+        }
+    });
+    
+    // Index code blocks
+    const codeBlocks = document.querySelectorAll('pre code');
+    codeBlocks.forEach(function(code) {
+        // Keep leading lines so line numbers match the rendered block
+        const text = code.textContent.replace(/\s+$/, '');
+        if (text.trim()) {
+            const nearestHeading = findNearestHeading(code);
+            addEntry(code, {
+                type: 'code',
+                title: nearestHeading ? nearestHeading.textContent.trim() : translate('search.codeExample'),
+                content: text,
+                url: nearestHeading ? '#' + nearestHeading.getAttribute('id') : '#',
+                language: getCodeBlockLanguage(code)
+            });
+        }
+    });
+    
+    // Keep only the id-to-element map on the main thread
+    window.searchElements = elements;
+    
+    return getSearchClient()
+        .request('indexPage', { entries: entries, scope: normalizePagePath(window.location.pathname) })
+        .catch(function(err) {
+            console.warn('Unable to index page for search: ', err);
+        });
+}
+
+/**
+ * Load the site-wide search index prebuilt by the MkDocs search plugin
+ * and merge entries from other pages into the in-page index
+ * @returns {Promise<Object|null>} Resolves with the merged index size, or null when unavailable
+ */
+function loadSiteSearchIndex() {
+    if (window.siteSearchIndexPromise) {
+        return window.siteSearchIndexPromise;
+    }
+
+    const baseUrl = getSiteBaseUrl();
+
+    window.siteSearchIndexPromise = getSearchClient()
+        .request('loadSite', {
+            url: new URL('search/search_index.json', baseUrl).href,
+            baseUrl: baseUrl,
+            currentPath: normalizePagePath(window.location.pathname)
+        })
+        .catch(function(err) {
+            console.warn('Site-wide search index unavailable, searching current page only: ', err);
+            return null;
+        });
+
+    return window.siteSearchIndexPromise;
+}
+
+/**
+ * Search worker location, resolved next to this script
+ */
+const SEARCH_WORKER_URL = document.currentScript && document.currentScript.src
+    ? new URL('search-worker.js', document.currentScript.src).href
+    : null;
+
+/**
+ * Actions that change the index and must be replayed if the worker fails
+ */
+const SEARCH_STATE_ACTIONS = ['indexPage', 'loadSite'];
+
+/**
+ * Get the shared search client, creating it on first use
+ * @returns {Object} Client with a `request(action, payload)` method
+ */
+function getSearchClient() {
+    if (!window.searchClient) {
+        window.searchClient = createSearchClient();
+    }
+    return window.searchClient;
+}
+
+/**
+ * Create a client talking to the search worker, falling back to an in-page
+ * search service when workers are unsupported or the worker fails to load
+ * @returns {Object} Client with a `request(action, payload)` method
+ */
+function createSearchClient() {
+    const pending = new Map();
+    const completedState = new Map();
+    let nextId = 0;
+    let worker = null;
+    let service = null;
+    
+    const useMainThread = function(reason) {
+        if (service) return;
+        
+        if (reason) {
+            console.warn('Search worker unavailable, indexing on the main thread: ', reason);
+        }
+        if (worker) {
+            worker.terminate();
+            worker = null;
+        }
+        
+        service = createSearchService();
+        
+        // Rebuild the state the worker already had, then hand over requests still in flight
+        completedState.forEach(function(payload, action) {
+            service.handle(action, payload).catch(function() {});
+        });
+        pending.forEach(function(request) {
+            service.handle(request.action, request.payload).then(request.resolve, request.reject);
+        });
+        pending.clear();
+    };
+    
+    if (typeof Worker === 'undefined' || !SEARCH_WORKER_URL) {
+        useMainThread();
+    } else {
+        try {
+            worker = new Worker(SEARCH_WORKER_URL);
+            worker.addEventListener('message', function(event) {
+                const request = pending.get(event.data.id);
+                if (!request) return;
+                
+                pending.delete(event.data.id);
+                if (event.data.error) {
+                    request.reject(new Error(event.data.error));
+                } else {
+                    if (SEARCH_STATE_ACTIONS.includes(request.action)) {
+                        completedState.set(request.action, request.payload);
+                    }
+                    request.resolve(event.data.result);
+                }
+            });
+            worker.addEventListener('error', function(event) {
+                event.preventDefault();
+                useMainThread(event.message || 'worker error');
+            });
+        } catch (err) {
+            useMainThread(err);
+        }
+    }
+    
+    return {
+        request: function(action, payload) {
+            if (service) {
+                return service.handle(action, payload);
+            }
+            
+            return new Promise(function(resolve, reject) {
+                const id = ++nextId;
+                pending.set(id, { action: action, payload: payload, resolve: resolve, reject: reject });
+                worker.postMessage({ id: id, action: action, payload: payload });
+            });
+        }
+    };
+}
+
+/**
+ * Search content based on query. Ranking runs in the search worker; see rankSearchEntries().
+ * @param {string} query - Search query
+ * @returns {Promise<Array>} Search results
+ */
+function searchContent(query) {
+    return getSearchClient()
+        .request('search', { query: query, limit: 10 })
+        .catch(function(err) {
+            console.warn('Search failed: ', err);
+            return [];
+        });
+}
+
+/**
+ * Resolve the site root URL from the Material theme configuration
+ * @returns {string} Absolute URL of the site root, ending with a slash
+ */
+function getSiteBaseUrl() {
+    let base = '.';
+    const configElement = document.getElementById('__config');
+
+    if (configElement) {
+        try {
+            base = JSON.parse(configElement.textContent).base || '.';
+        } catch (err) {
+            console.warn('Unable to read theme configuration: ', err);
+        }
+    }
+
+    const baseUrl = new URL(base, window.location.href).href;
+    return baseUrl.endsWith('/') ? baseUrl : baseUrl + '/';
+}
+
+/**
+ * Defaults for settings read from `extra.enhanced_features` in mkdocs.yml
+ */
+const ENHANCED_FEATURES_DEFAULTS = {
+    history_manifest: 'data/page-history.json',
+    recently_updated_days: 30,
+    large_code_block_lines: 50,
+    collapsed_code_block_lines: 20,
+    environment_profiles: { dev: {}, staging: {}, prod: {} }
+};
+
+/**
+ * Read the `extra.enhanced_features` settings rendered by overrides/main.html
+ * @returns {Object} Settings merged over ENHANCED_FEATURES_DEFAULTS
+ */
+function getEnhancedFeaturesConfig() {
+    if (window.enhancedFeaturesConfig) {
+        return window.enhancedFeaturesConfig;
+    }
+    
+    let settings = {};
+    const configElement = document.getElementById('enhanced-features-config');
+    
+    if (configElement) {
+        try {
+            settings = JSON.parse(configElement.textContent) || {};
+        } catch (err) {
+            console.warn('Unable to read enhanced features configuration: ', err);
+        }
+    }
+    
+    window.enhancedFeaturesConfig = Object.assign({}, ENHANCED_FEATURES_DEFAULTS, settings);
+    return window.enhancedFeaturesConfig;
+}
+
+/**
+ * Strings of the injected interface by language. A value is either a string
+ * with {placeholders} or plural forms keyed by Intl.PluralRules category
+ * and chosen by the `count` parameter.
+ */
+const UI_STRINGS = {
+    en: {
+        'accessibility.skipToMain': 'Skip to main content',
+        'accessibility.primaryNavigation': 'Primary navigation',
+        'accessibility.tableOfContents': 'Table of contents',
+        'accessibility.goTo': 'Go to {title}',
+        'progress.step': 'Step {number}: {status}',
+        'progress.completed': 'completed',
+        'progress.current': 'current',
+        'progress.pending': 'pending',
+        'copy.button': 'Copy',
+        'copy.label': 'Copy code to clipboard',
+        'copy.help': 'Press Enter or Space to copy the code block to your clipboard',
+        'copy.copied': 'Copied!',
+        'copy.copiedLabel': 'Code copied to clipboard',
+        'copy.error': 'Error',
+        'copy.selection': 'Copy selected lines',
+        'copy.selectionLabel': 'Copy the selected lines to clipboard',
+        'copy.formats': 'More copy options',
+        'copy.format.markdown': 'Copy as Markdown',
+        'copy.format.powershell': 'Copy as PowerShell',
+        'copy.format.file': 'Copy with file path',
+        'download.file': 'Download',
+        'download.fileLabel': 'Download {path}',
+        'download.all': 'Download all {count} files on this page (.zip)',
+        'download.started': 'Downloading {name}',
+        'code.expand': { one: 'Show all {count} line', other: 'Show all {count} lines' },
+        'code.collapse': 'Show fewer lines',
+        'environment.summary': 'Environment profile: {profile}',
+        'environment.help': 'Values are kept in this browser only. They replace ${VAR} and VAR= placeholders in the code blocks of every page, shown and copied. Passwords, tokens and keys are masked in the code and forgotten when the page is reloaded.',
+        'environment.profile': 'Profile',
+        'environment.off': 'off',
+        'environment.reset': 'Reset to defaults',
+        'environment.substituted': '{profile} values',
+        'environment.raw': 'Raw',
+        'environment.showRaw': 'Show the raw placeholders',
+        'environment.showSubstituted': 'Show the values of the {profile} profile',
+        'breadcrumb.label': 'Breadcrumb navigation',
+        'breadcrumb.home': 'Home',
+        'related.title': 'Related Topics',
+        'related.linkLabel': 'Go to related topic: {title}',
+        'search.placeholder': 'Search documentation...',
+        'search.label': 'Search documentation',
+        'search.results': 'Search results',
+        'search.recent': 'Recent searches:',
+        'search.clearHistory': 'Clear history',
+        'search.historyCleared': 'Search history cleared',
+        'search.popular': 'Popular topics:',
+        'search.syntaxHelp': 'Use quotes for exact phrases, a leading minus to exclude a term, ' +
+            'and type:heading, type:content, type:code or level:2 to filter results',
+        'search.appliedFilters': 'Applied filters',
+        'search.filter': '{field}: {values}',
+        'search.filterNegated': 'not {field}: {values}',
+        'search.phrase': 'phrase: "{phrase}"',
+        'search.excluding': 'excluding: {term}',
+        'search.type.heading': 'Headings',
+        'search.type.content': 'Content',
+        'search.type.code': 'Code',
+        'search.documentation': 'Documentation',
+        'search.thisPage': 'This page',
+        'search.codeExample': 'Code Example',
+        'search.codeLanguage': 'CODE',
+        'search.codeLine': 'line {line}',
+        'search.resultCount': {
+            one: '{count} result for {query}',
+            other: '{count} results for {query}'
+        },
+        'search.noResults': 'No results found',
+        'search.noResultsFor': 'No results found for "{query}".',
+        'search.noResultsHint': 'Try different keywords or check the suggestions below.',
+        'errorCode.label': 'Error code {code}',
+        'errorCode.summary': 'Error code {code}: {message}',
+        'errorCode.open': 'Open entry',
+        'errorCode.copyAll': 'Copy all fix commands',
+        'errorCode.missing': 'No summary found for this entry. Open it for the details.',
+        'errorCode.severity.critical': 'Critical',
+        'errorCode.severity.high': 'High',
+        'errorCode.severity.medium': 'Medium',
+        'errorCode.severity.low': 'Low',
+        'tags.source.section': 'Declared on this section',
+        'tags.source.page': 'Declared in the page front matter',
+        'tags.source.keyword': 'Guessed from keywords in the section',
+        'filters.label': 'Content filters',
+        'filters.tags': 'Tags:',
+        'filters.match': 'Match:',
+        'filters.matchAny': 'Any tag (OR)',
+        'filters.matchAll': 'All tags (AND)',
+        'filters.difficulty': 'Difficulty:',
+        'filters.audience': 'Audience:',
+        'filters.clear': 'Clear Filters',
+        'filters.summary': {
+            one: '{visible} of {count} section shown',
+            other: '{visible} of {count} sections shown'
+        },
+        'difficulty.beginner': 'beginner',
+        'difficulty.intermediate': 'intermediate',
+        'difficulty.advanced': 'advanced',
+        'difficulty.title': 'Difficulty level: {level}',
+        'difficulty.estimatedTitle': 'Difficulty level: {level} (estimated)',
+        'audience.developer': 'developer',
+        'audience.ops': 'ops',
+        'audience.dba': 'dba',
+        'audience.title': 'Audience: {audience}',
+        'history.updated': 'Updated',
+        'history.added': 'Added',
+        'history.modified': 'Modified',
+        'history.badge': '{label} {date}',
+        'history.change': '{label} {date}: {subject} ({commit})',
+        'visit.badgeTitle': 'Changed since your last visit ({date}), show the changes',
+        'visit.summary': 'Changes since your last visit ({date}):'
+    },
+    'pt-BR': {
+        'accessibility.skipToMain': 'Pular para o conteúdo principal',
+        'accessibility.primaryNavigation': 'Navegação principal',
+        'accessibility.tableOfContents': 'Nesta página',
+        'accessibility.goTo': 'Ir para {title}',
+        'progress.step': 'Etapa {number}: {status}',
+        'progress.completed': 'concluída',
+        'progress.current': 'atual',
+        'progress.pending': 'pendente',
+        'copy.button': 'Copiar',
+        'copy.label': 'Copiar código para a área de transferência',
+        'copy.help': 'Pressione Enter ou Espaço para copiar o bloco de código para a área de transferência',
+        'copy.copied': 'Copiado!',
+        'copy.copiedLabel': 'Código copiado para a área de transferência',
+        'copy.error': 'Erro',
+        'copy.selection': 'Copiar linhas selecionadas',
+        'copy.selectionLabel': 'Copiar as linhas selecionadas para a área de transferência',
+        'copy.formats': 'Mais opções de cópia',
+        'copy.format.markdown': 'Copiar como Markdown',
+        'copy.format.powershell': 'Copiar como PowerShell',
+        'copy.format.file': 'Copiar com o caminho do arquivo',
+        'download.file': 'Baixar',
+        'download.fileLabel': 'Baixar {path}',
+        'download.all': 'Baixar os {count} arquivos desta página (.zip)',
+        'download.started': 'Baixando {name}',
+        'code.expand': { one: 'Mostrar a linha', other: 'Mostrar todas as {count} linhas' },
+        'code.collapse': 'Mostrar menos linhas',
+        'environment.summary': 'Perfil de ambiente: {profile}',
+        'environment.help': 'Os valores ficam apenas neste navegador. Eles substituem os marcadores ${VAR} e VAR= nos blocos de código de todas as páginas, na exibição e na cópia. Senhas, tokens e chaves ficam mascarados no código e são esquecidos ao recarregar a página.',
+        'environment.profile': 'Perfil',
+        'environment.off': 'desligado',
+        'environment.reset': 'Restaurar padrões',
+        'environment.substituted': 'valores de {profile}',
+        'environment.raw': 'Original',
+        'environment.showRaw': 'Mostrar os marcadores originais',
+        'environment.showSubstituted': 'Mostrar os valores do perfil {profile}',
+        'breadcrumb.label': 'Trilha de navegação',
+        'breadcrumb.home': 'Início',
+        'related.title': 'Tópicos relacionados',
+        'related.linkLabel': 'Ir para o tópico relacionado: {title}',
+        'search.placeholder': 'Buscar na documentação...',
+        'search.label': 'Buscar na documentação',
+        'search.results': 'Resultados da busca',
+        'search.recent': 'Buscas recentes:',
+        'search.clearHistory': 'Limpar histórico',
+        'search.historyCleared': 'Histórico de buscas apagado',
+        'search.popular': 'Tópicos populares:',
+        'search.syntaxHelp': 'Use aspas para frases exatas, um sinal de menos para excluir um termo ' +
+            'e type:heading, type:content, type:code ou level:2 para filtrar os resultados',
+        'search.appliedFilters': 'Filtros aplicados',
+        'search.filter': '{field}: {values}',
+        'search.filterNegated': 'exceto {field}: {values}',
+        'search.phrase': 'frase: "{phrase}"',
+        'search.excluding': 'excluindo: {term}',
+        'search.type.heading': 'Títulos',
+        'search.type.content': 'Conteúdo',
+        'search.type.code': 'Código',
+        'search.documentation': 'Documentação',
+        'search.thisPage': 'Esta página',
+        'search.codeExample': 'Exemplo de código',
+        'search.codeLanguage': 'CÓDIGO',
+        'search.codeLine': 'linha {line}',
+        'search.resultCount': {
+            one: '{count} resultado para {query}',
+            other: '{count} resultados para {query}'
+        },
+        'search.noResults': 'Nenhum resultado encontrado',
+        'search.noResultsFor': 'Nenhum resultado encontrado para "{query}".',
+        'search.noResultsHint': 'Tente outras palavras-chave ou veja as sugestões abaixo.',
+        'errorCode.label': 'Código de erro {code}',
+        'errorCode.summary': 'Código de erro {code}: {message}',
+        'errorCode.open': 'Abrir entrada',
+        'errorCode.copyAll': 'Copiar todos os comandos de correção',
+        'errorCode.missing': 'Nenhum resumo encontrado para esta entrada. Abra-a para ver os detalhes.',
+        'errorCode.severity.critical': 'Crítica',
+        'errorCode.severity.high': 'Alta',
+        'errorCode.severity.medium': 'Média',
+        'errorCode.severity.low': 'Baixa',
+        'tags.source.section': 'Declarada nesta seção',
+        'tags.source.page': 'Declarada no front matter da página',
+        'tags.source.keyword': 'Deduzida de palavras-chave da seção',
+        'filters.label': 'Filtros de conteúdo',
+        'filters.tags': 'Tags:',
+        'filters.match': 'Combinar:',
+        'filters.matchAny': 'Qualquer tag (OU)',
+        'filters.matchAll': 'Todas as tags (E)',
+        'filters.difficulty': 'Dificuldade:',
+        'filters.audience': 'Público:',
+        'filters.clear': 'Limpar filtros',
+        'filters.summary': {
+            one: '{visible} de {count} seção exibida',
+            other: '{visible} de {count} seções exibidas'
+        },
+        'difficulty.beginner': 'iniciante',
+        'difficulty.intermediate': 'intermediário',
+        'difficulty.advanced': 'avançado',
+        'difficulty.title': 'Nível de dificuldade: {level}',
+        'difficulty.estimatedTitle': 'Nível de dificuldade: {level} (estimado)',
+        'audience.developer': 'desenvolvimento',
+        'audience.ops': 'operações',
+        'audience.dba': 'dba',
+        'audience.title': 'Público: {audience}',
+        'history.updated': 'Atualizado',
+        'history.added': 'Adicionado',
+        'history.modified': 'Modificado',
+        'history.badge': '{label} {date}',
+        'history.change': '{label} {date}: {subject} ({commit})',
+        'visit.badgeTitle': 'Alterado desde sua última visita ({date}), mostrar as alterações',
+        'visit.summary': 'Alterações desde sua última visita ({date}):'
+    }
+};
+
+/**
+ * Language used when the page language has no catalog
+ */
+const UI_DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Pick the interface language from the `lang` attribute of the page content:
+ * an exact catalog match, then one for the same base language ("pt" for "pt-PT")
+ * @returns {string} Key of UI_STRINGS
+ */
+function getUiLanguage() {
+    const content = document.querySelector('.md-content') || document.documentElement;
+    const element = content.closest('[lang]');
+    const lang = element ? element.getAttribute('lang') : '';
+    const languages = Object.keys(UI_STRINGS);
+    const base = lang.split('-')[0].toLowerCase();
+    
+    return languages.find(language => language.toLowerCase() === lang.toLowerCase()) ||
+        languages.find(language => language.split('-')[0].toLowerCase() === base) ||
+        UI_DEFAULT_LANGUAGE;
+}
+
+/**
+ * Translate an interface string into the page language. Strings set for the
+ * language in `extra.enhanced_features.strings` in mkdocs.yml win over the
+ * catalogs, and English fills in missing keys.
+ * @param {string} key - String key, e.g. "search.placeholder"
+ * @param {Object} params - Placeholder values; `count` also selects the plural form.
+ *     Placeholders without a value are left as is.
+ * @returns {string} Translated string
+ */
+function translate(key, params = {}) {
+    const language = getUiLanguage();
+    const overrides = getEnhancedFeaturesConfig().strings || {};
+    const candidates = [overrides[language], UI_STRINGS[language], UI_STRINGS[UI_DEFAULT_LANGUAGE]];
+    const catalog = candidates.find(strings => strings && strings[key] !== undefined);
+    let message = catalog ? catalog[key] : key;
+    
+    if (typeof message === 'object') {
+        const form = typeof params.count === 'number' ? new Intl.PluralRules(language).select(params.count) : 'other';
+        message = message[form] !== undefined ? message[form] : message.other;
+    }
+    
+    return String(message).replace(/\{(\w+)\}/g, function(placeholder, name) {
+        return params[name] !== undefined ? String(params[name]) : placeholder;
+    });
+}
+
+/**
+ * Find nearest heading for an element
+ * @param {Element} element - Element to find heading for
+ * @returns {Element|null} Nearest heading element
+ */
+function findNearestHeading(element) {
+    let current = element;
+    
+    while (current && current !== document.body) {
+        const heading = current.querySelector('h1, h2, h3, h4, h5, h6');
+        if (heading) {
+            return heading;
+        }
+        
+        // Check previous siblings
+        let sibling = current.previousElementSibling;
+        while (sibling) {
+            if (/^h[1-6]$/i.test(sibling.tagName)) {
+                return sibling;
+            }
+            sibling = sibling.previousElementSibling;
+        }
+        
+        current = current.parentElement;
+    }
+    
+    return null;
+}
+
+/**
+ * Setup search functionality
+ */
+function setupSearchFunctionality() {
+    const searchInput = document.querySelector('.enhanced-search-input');
+    const resultsContainer = document.querySelector('.search-results-container');
+    
+    if (!searchInput || !resultsContainer) return;
+    
+    let currentQuery = '';
+    
+    // Describe the supported query syntax to screen reader users
+    if (!document.getElementById('search-syntax-help')) {
+        const syntaxHelp = document.createElement('div');
+        syntaxHelp.id = 'search-syntax-help';
+        syntaxHelp.className = 'sr-only';
+        syntaxHelp.textContent = translate('search.syntaxHelp');
+        searchInput.parentNode.appendChild(syntaxHelp);
+    }
+    searchInput.setAttribute('aria-describedby', 'search-syntax-help');
+    
+    // Debounced search function
+    const performSearch = debounce(function(query) {
+        if (query.length < 2) {
+            if (document.activeElement === searchInput) {
+                showSearchSuggestions();
+            } else {
+                hideSearchResults();
+            }
+            return;
+        }
+        
+        searchContent(query).then(function(results) {
+            // Ignore responses for queries the user has already moved past
+            if (query !== currentQuery) return;
+            
+            displaySearchResults(results, query);
+            showErrorCodeLookup(query);
+        });
+    }, 300);
+
+    // Keep the shareable ?q= URL in sync without flooding history
+    const syncUrl = debounce(function(query) {
+        updateSearchUrl(query);
+    }, 500);
+
+    renderSearchSuggestions();
+
+    // Refresh open results and topics once the site-wide index has been merged
+    if (window.siteSearchIndexPromise) {
+        window.siteSearchIndexPromise.then(function() {
+            renderSearchSuggestions();
+            if (currentQuery.length >= 2) {
+                performSearch(currentQuery);
+            }
+        });
+    }
+
+    // Search input event listeners
+    searchInput.addEventListener('input', function(e) {
+        currentQuery = e.target.value.trim();
+        performSearch(currentQuery);
+        syncUrl(currentQuery);
+    });
+    
+    searchInput.addEventListener('keydown', function(e) {
+        // Items are in ranked, grouped order; the selection lives on the items themselves
+        const resultItems = Array.from(resultsContainer.querySelectorAll('.search-result-item'));
+        const selectedIndex = resultItems.findIndex(item => item.classList.contains('highlighted'));
+        
+        switch(e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                if (!resultsContainer.classList.contains('active') && currentQuery.length >= 2) {
+                    setSearchResultsExpanded(true);
+                }
+                updateSelectedResult(resultItems, Math.min(selectedIndex + 1, resultItems.length - 1));
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                updateSelectedResult(resultItems, Math.max(selectedIndex - 1, -1));
+                break;
+            case 'Home':
+            case 'End':
+                if (resultItems.length > 0 && resultsContainer.classList.contains('active') && selectedIndex >= 0) {
+                    e.preventDefault();
+                    updateSelectedResult(resultItems, e.key === 'Home' ? 0 : resultItems.length - 1);
+                }
+                break;
+            case 'Enter':
+                e.preventDefault();
+                if (selectedIndex >= 0 && resultItems[selectedIndex]) {
+                    resultItems[selectedIndex].click();
+                } else {
+                    const query = currentQuery;
+                    openErrorCodeEntry(query).then(function(opened) {
+                        if (opened) {
+                            hideSearchResults();
+                        } else if (query.length >= 2) {
+                            recordSearchQuery(query);
+                        }
+                    });
+                }
+                break;
+            case 'Escape':
+                hideSearchResults();
+                searchInput.blur();
+                break;
+        }
+    });
+    
+    searchInput.addEventListener('focus', function() {
+        if (currentQuery.length >= 2) {
+            setSearchResultsExpanded(true);
+        } else {
+            showSearchSuggestions();
+        }
+    });
+    
+    // Suggestion, recent query and history event listeners (delegated, the lists are re-rendered)
+    resultsContainer.addEventListener('click', function(e) {
+        const tag = e.target.closest('.search-suggestion-tag');
+        const visited = e.target.closest('.search-recent-result');
+        
+        if (tag) {
+            const query = tag.getAttribute('data-query');
+            searchInput.value = query;
+            currentQuery = query;
+            performSearch(query);
+            searchInput.focus();
+        } else if (visited) {
+            e.preventDefault();
+            const entry = loadSearchHistory().visited[Number(visited.getAttribute('data-index'))];
+            if (entry) {
+                recordSearchVisit(entry, entry.query);
+                navigateToResult(entry);
+                hideSearchResults();
+            }
+        } else if (e.target.closest('.search-history-clear')) {
+            clearSearchHistory();
+            searchInput.focus();
+        }
+    });
+    
+    // Click outside to close
+    listenUntilTeardown(document, 'click', function(e) {
+        if (!searchInput.contains(e.target) && !resultsContainer.contains(e.target)) {
+            hideSearchResults();
+        }
+    });
+    
+    // Restore a query shared through the URL (e.g. ?q=DB-002#error-code-db-002)
+    const sharedQuery = getSearchQueryFromUrl();
+    if (sharedQuery) {
+        searchInput.value = sharedQuery;
+        currentQuery = sharedQuery;
+        updateSearchUrl(sharedQuery, window.location.hash);
+        
+        if (window.location.hash && document.getElementById(decodeURIComponent(window.location.hash.substring(1)))) {
+            // The link points at a specific result: open it instead of the list
+            navigateToResult({ url: window.location.hash });
+        } else if (sharedQuery.length >= 2) {
+            searchContent(sharedQuery).then(function(results) {
+                if (sharedQuery === currentQuery) {
+                    displaySearchResults(results, sharedQuery);
+                }
+            });
+        }
+    }
+}
+
+/**
+ * Describe the filters, phrases and exclusions applied by a parsed query
+ * @param {Object} parsedQuery - Result of parseSearchQuery()
+ * @returns {Array} Human-readable filter labels
+ */
+function describeSearchFilters(parsedQuery) {
+    const labels = [];
+    
+    parsedQuery.filters.forEach(function(filter) {
+        labels.push(translate(filter.negated ? 'search.filterNegated' : 'search.filter', {
+            field: filter.field,
+            values: filter.values.join(', ')
+        }));
+    });
+    parsedQuery.phrases.forEach(function(phrase) {
+        labels.push(translate('search.phrase', { phrase: phrase }));
+    });
+    parsedQuery.excludedTerms.concat(parsedQuery.excludedPhrases).forEach(function(term) {
+        labels.push(translate('search.excluding', { term: term }));
+    });
+    
+    return labels;
+}
+
+/**
+ * URL parameters holding the shared search query and its filters
+ */
+const SEARCH_URL_PARAMS = {
+    query: 'q',
+    filters: Object.keys(SEARCH_FILTER_FIELDS)
+};
+
+/**
+ * Read a shared search query from the URL, folding filter parameters
+ * such as ?type=code&level=2 into query syntax
+ * @returns {string} Search query, or an empty string when none is shared
+ */
+function getSearchQueryFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const parts = [(params.get(SEARCH_URL_PARAMS.query) || '').trim()];
+    
+    SEARCH_URL_PARAMS.filters.forEach(function(field) {
+        const value = params.get(field);
+        if (value && !parts[0].includes(field + ':')) {
+            parts.push(field + ':' + value.trim());
+        }
+    });
+    
+    return parts.filter(part => part).join(' ');
+}
+
+/**
+ * Reflect the current search query in the URL with history.replaceState
+ * @param {string} query - Search query, empty to remove it
+ * @param {string} hash - Optional fragment of the selected result
+ */
+function updateSearchUrl(query, hash) {
+    const url = new URL(window.location.href);
+    
+    // Filters travel inside the query syntax, so drop the separate parameters
+    SEARCH_URL_PARAMS.filters.forEach(function(field) {
+        url.searchParams.delete(field);
+    });
+    
+    if (query && query.length >= 2) {
+        url.searchParams.set(SEARCH_URL_PARAMS.query, query);
+    } else {
+        url.searchParams.delete(SEARCH_URL_PARAMS.query);
+    }
+    
+    if (hash !== undefined) {
+        url.hash = hash;
+    }
+    
+    if (url.href !== window.location.href) {
+        history.replaceState(history.state, '', url.href);
+    }
+}
+
+/**
+ * Group ranked results by page and type, ordering groups by their best result
+ * @param {Array} results - Search results sorted by score
+ * @returns {Array} Groups as { page, type, results }
+ */
+function groupSearchResults(results) {
+    const groups = new Map();
+    
+    results.forEach(function(result) {
+        const page = result.pageTitle || document.title || translate('search.thisPage');
+        const key = page + '\u0000' + result.type;
+        
+        if (!groups.has(key)) {
+            groups.set(key, { page: page, type: result.type, results: [] });
+        }
+        groups.get(key).results.push(result);
+    });
+    
+    // Results arrive sorted, so insertion order already follows each group's best score
+    return Array.from(groups.values());
+}
+
+/**
+ * Display search results
+ * @param {Array} results - Search results
+ * @param {string} query - Search query
+ */
+function displaySearchResults(results, query) {
+    const resultsContainer = document.querySelector('.search-results-container');
+    if (!resultsContainer) return;
+    
+    // Clear existing results (except suggestions)
+    clearSearchResultItems();
+    
+    if (results.length === 0) {
+        showNoResults(query);
+        return;
+    }
+    
+    // Groups go above the suggestions, in ranked order
+    const suggestions = resultsContainer.querySelector('.search-recent, .search-suggestions');
+    let index = 0;
+    
+    groupSearchResults(results).forEach(function(group, groupIndex) {
+        const groupElement = document.createElement('div');
+        groupElement.className = 'search-result-group';
+        groupElement.setAttribute('role', 'group');
+        groupElement.setAttribute('aria-labelledby', 'search-result-group-' + groupIndex);
+        
+        const groupTitle = document.createElement('div');
+        groupTitle.className = 'search-result-group-title';
+        groupTitle.id = 'search-result-group-' + groupIndex;
+        groupTitle.setAttribute('role', 'presentation');
+        groupTitle.textContent = group.page + ' › ' + translate('search.type.' + group.type);
+        groupElement.appendChild(groupTitle);
+        
+        group.results.forEach(function(result) {
+            groupElement.appendChild(createSearchResultItem(result, query, index++));
+        });
+        
+        resultsContainer.insertBefore(groupElement, suggestions);
+    });
+    
+    setSearchResultsExpanded(true);
+    announceToScreenReader(translate('search.resultCount', { count: results.length, query: query }));
+}
+
+/**
+ * Create search result item
+ * @param {Object} result - Search result
+ * @param {string} query - Search query
+ * @param {number} index - Result index
+ * @returns {Element} Result item element
+ */
+function createSearchResultItem(result, query, index) {
+    const item = document.createElement('div');
+    item.className = 'search-result-item';
+    item.id = 'search-result-' + index;
+    item.setAttribute('role', 'option');
+    item.setAttribute('aria-selected', 'false');
+    
+    // Highlight the index terms that actually matched (typos, prefixes, accents)
+    const parsedQuery = parseSearchQuery(query);
+    const terms = result.matchedTerms && result.matchedTerms.length > 0 ? result.matchedTerms : parsedQuery.text;
+    const title = highlightSearchTerm(result.title, terms);
+    const excerpt = result.snippet ? createCodeSnippet(result, terms) : createExcerpt(result.content, terms);
+    const path = getResultPath(result);
+    const filters = describeSearchFilters(parsedQuery)
+        .map(label => '<span class="search-result-filter">' + escapeHtml(label) + '</span>')
+        .join('');
+    
+    item.innerHTML = `
+        <div class="search-result-title">${title}</div>
+        <div class="search-result-excerpt">${excerpt}</div>
+        <div class="search-result-path">${escapeHtml(path)}</div>
+        ${filters ? `<div class="search-result-filters" aria-label="${escapeHtml(translate('search.appliedFilters'))}">${filters}</div>` : ''}
+    `;
+    
+    item.addEventListener('click', function() {
+        recordSearchVisit(result, query);
+        
+        // Make the current URL point at the opened result so it can be shared
+        if (result.url.startsWith('#')) {
+            updateSearchUrl(query, result.url);
+        }
+        
+        navigateToResult(result);
+        hideSearchResults();
+    });
+    
+    return item;
+}
+
+/**
+ * Resolve highlight terms from a raw query or a list of matched index terms
+ * @param {string|Array} query - Search query or list of index terms
+ * @returns {Array} Folded, stemmed terms
+ */
+function getHighlightTerms(query) {
+    return Array.isArray(query) ? query : tokenizeSearchText(query);
+}
+
+/**
+ * Highlight search term in text
+ * @param {string} text - Text to highlight
+ * @param {string|Array} query - Search query or list of index terms
+ * @returns {string} Highlighted, HTML-escaped text
+ */
+function highlightSearchTerm(text, query) {
+    const terms = getHighlightTerms(query);
+    let html = '';
+    let position = 0;
+    
+    findSearchTokens(text).forEach(function(token) {
+        if (!tokenMatchesTerms(token.key, terms)) return;
+        
+        html += escapeHtml(text.slice(position, token.start));
+        html += '<span class="search-highlight">' + escapeHtml(text.slice(token.start, token.end)) + '</span>';
+        position = token.end;
+    });
+    
+    return html + escapeHtml(text.slice(position));
+}
+
+/**
+ * Create excerpt from content
+ * @param {string} content - Full content
+ * @param {string|Array} query - Search query or list of index terms
+ * @returns {string} Content excerpt
+ */
+function createExcerpt(content, query) {
+    const terms = getHighlightTerms(query);
+    const firstMatch = findSearchTokens(content).find(token => tokenMatchesTerms(token.key, terms));
+    const excerptLength = 150;
+    
+    if (!firstMatch) {
+        return escapeHtml(content.substring(0, excerptLength) + (content.length > excerptLength ? '...' : ''));
+    }
+    
+    const start = Math.max(0, firstMatch.start - 50);
+    const end = Math.min(content.length, start + excerptLength);
+    
+    const excerpt = highlightSearchTerm(content.substring(start, end), terms);
+    return (start > 0 ? '...' : '') + excerpt + (end < content.length ? '...' : '');
+}
+
+/**
+ * Longest code line shown in a snippet before it is shortened around the match
+ */
+const CODE_SNIPPET_LINE_LENGTH = 120;
+
+/**
+ * Create a whitespace-preserving snippet of the matching code lines
+ * @param {Object} result - Code search result with `line` and `snippet`
+ * @param {Array} terms - Matched index terms
+ * @returns {string} Snippet HTML with the language, line numbers and highlighted terms
+ */
+function createCodeSnippet(result, terms) {
+    const lines = result.snippet.map(function(line) {
+        let text = line.text;
+        let prefix = '';
+        let suffix = '';
+        
+        if (text.length > CODE_SNIPPET_LINE_LENGTH) {
+            const firstMatch = findSearchTokens(text).find(token => tokenMatchesTerms(token.key, terms));
+            const start = Math.max(0, (firstMatch ? firstMatch.start : 0) - 40);
+            prefix = start > 0 ? '…' : '';
+            suffix = start + CODE_SNIPPET_LINE_LENGTH < text.length ? '…' : '';
+            text = text.substring(start, start + CODE_SNIPPET_LINE_LENGTH);
+        }
+        
+        const current = line.number === result.line ? ' current' : '';
+        return `<span class="search-result-code-line${current}" data-line="${line.number}">` +
+            prefix + highlightSearchTerm(text, terms) + suffix + '</span>';
+    });
+    
+    const language = escapeHtml(result.language ? result.language.toUpperCase() : translate('search.codeLanguage'));
+    const lineLabel = escapeHtml(translate('search.codeLine', { line: result.line }));
+    
+    return `<div class="search-result-code-meta"><span class="search-result-language">${language}</span> ${lineLabel}</div>` +
+        `<pre class="search-result-code"><code>${lines.join('\n')}</code></pre>`;
+}
+
+/**
+ * Get result path for display
+ * @param {Object} result - Search result
+ * @returns {string} Result path
+ */
+function getResultPath(result) {
+    // Results from other pages carry the page title from the site index
+    if (result.pageTitle) {
+        return result.pageTitle;
+    }
+    
+    const currentPath = window.location.pathname;
+    const pathParts = currentPath.split('/').filter(part => part);
+    
+    if (pathParts.length > 0) {
+        return pathParts.join(' › ');
+    }
+    
+    return translate('search.documentation');
+}
+
+/**
+ * Navigate to search result
+ * @param {Object} result - Search result
+ */
+function navigateToResult(result) {
+    if (result.url.startsWith('#')) {
+        // Internal anchor link, preferring the exact element the result was indexed from
+        const indexedElement = result.id && window.searchElements ? window.searchElements.get(result.id) : null;
+        const codeLine = indexedElement && result.line ? findCodeLineElement(indexedElement, result.line) : null;
+        const target = codeLine || indexedElement || document.getElementById(decodeURIComponent(result.url.substring(1)));
+        if (target) {
+            // Lines of collapsed code blocks may be hidden
+            const collapsedBlock = codeLine && codeLine.closest('.code-collapsed');
+            if (collapsedBlock) {
+                setCodeBlockExpanded(collapsedBlock, true);
+            }
+            
+            target.scrollIntoView({ behavior: 'smooth', block: codeLine ? 'center' : 'start' });
+            
+            // Highlight the target briefly (code lines span the full block width)
+            if (codeLine) {
+                codeLine.classList.add('search-line-highlight');
+                setTimeout(function() {
+                    codeLine.classList.remove('search-line-highlight');
+                }, 2000);
+            } else {
+                target.style.backgroundColor = 'rgba(255, 235, 59, 0.3)';
+                setTimeout(function() {
+                    target.style.backgroundColor = '';
+                }, 2000);
+            }
+        }
+    } else {
+        // External link
+        window.location.href = result.url;
+    }
+}
+
+/**
+ * Show no results message
+ * @param {string} query - Search query
+ */
+function showNoResults(query) {
+    const resultsContainer = document.querySelector('.search-results-container');
+    if (!resultsContainer) return;
+    
+    const noResults = document.createElement('div');
+    noResults.className = 'no-results';
+    noResults.innerHTML = `
+        <div class="no-results-icon">🔍</div>
+        <div class="no-results-title">${escapeHtml(translate('search.noResults'))}</div>
+        <div class="no-results-message">
+            ${escapeHtml(translate('search.noResultsFor')).replace('{query}', `<strong>${escapeHtml(query)}</strong>`)}<br>
+            ${escapeHtml(translate('search.noResultsHint'))}
+        </div>
+    `;
+    
+    resultsContainer.insertBefore(noResults, resultsContainer.firstChild);
+    setSearchResultsExpanded(true);
+    announceToScreenReader(translate('search.noResultsFor', { query: query }));
+}
+
+/**
+ * Remove rendered result items and "no results" messages, keeping suggestions
+ */
+function clearSearchResultItems() {
+    const resultsContainer = document.querySelector('.search-results-container');
+    if (!resultsContainer) return;
+    
+    resultsContainer.querySelectorAll('.search-result-group, .search-result-item, .no-results, .error-code-card').forEach(function(item) {
+        item.remove();
+    });
+    
     const searchInput = document.querySelector('.enhanced-search-input');
+    if (searchInput) {
+        searchInput.removeAttribute('aria-activedescendant');
+    }
+}
+
+/**
+ * Show recent searches and popular topics without any results
+ */
+function showSearchSuggestions() {
+    const resultsContainer = document.querySelector('.search-results-container');
+    if (!resultsContainer) return;
+    
+    clearSearchResultItems();
+    renderSearchSuggestions();
+    setSearchResultsExpanded(true);
+}
+
+/**
+ * Hide search results
+ */
+function hideSearchResults() {
+    setSearchResultsExpanded(false);
+}
+
+/**
+ * Open or close the results listbox and keep the combobox state in sync
+ * @param {boolean} expanded - Whether the listbox is shown
+ */
+function setSearchResultsExpanded(expanded) {
     const resultsContainer = document.querySelector('.search-results-container');
-    const suggestionTags = document.querySelectorAll('.search-suggestion-tag');
+    const searchInput = document.querySelector('.enhanced-search-input');
+    
+    if (resultsContainer) {
+        resultsContainer.classList.toggle('active', expanded);
+    }
+    
+    if (searchInput) {
+        searchInput.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+        if (!expanded) {
+            searchInput.removeAttribute('aria-activedescendant');
+        }
+    }
+}
+
+/**
+ * Update selected search result
+ * @param {Array} resultItems - Result item elements in display order
+ * @param {number} selectedIndex - Index of the item to select, -1 for none
+ */
+function updateSelectedResult(resultItems, selectedIndex) {
+    const searchInput = document.querySelector('.enhanced-search-input');
+    
+    resultItems.forEach(function(item, index) {
+        if (index === selectedIndex) {
+            item.classList.add('highlighted');
+            item.setAttribute('aria-selected', 'true');
+            item.scrollIntoView({ block: 'nearest' });
+        } else {
+            item.classList.remove('highlighted');
+            item.setAttribute('aria-selected', 'false');
+        }
+    });
+    
+    if (searchInput) {
+        if (resultItems[selectedIndex]) {
+            searchInput.setAttribute('aria-activedescendant', resultItems[selectedIndex].id);
+        } else {
+            searchInput.removeAttribute('aria-activedescendant');
+        }
+    }
+}
+
+/**
+ * Troubleshooting catalogue codes such as DB-001 or APP-002
+ */
+const ERROR_CODE_PATTERN = /^([A-Z]{2,5})-(\d{3})$/i;
+
+/**
+ * Extract an error code when the whole query is one
+ * @param {string} query - Search query
+ * @returns {string|null} Upper-case error code, or null
+ */
+function getErrorCodeFromQuery(query) {
+    const match = ERROR_CODE_PATTERN.exec(query.trim());
+    return match ? (match[1] + '-' + match[2]).toUpperCase() : null;
+}
+
+/**
+ * Find the catalogue entry documenting an error code
+ * @param {string} code - Upper-case error code
+ * @returns {Promise<Object|undefined>} Search index entry of the error code heading
+ */
+function findErrorCodeEntry(code) {
+    return getSearchClient()
+        .request('errorCode', { code: code })
+        .catch(function(err) {
+            console.warn('Error code lookup failed: ', err);
+            return undefined;
+        });
+}
+
+/**
+ * Open the catalogue entry when the query is a known error code
+ * @param {string} query - Search query
+ * @returns {Promise<boolean>} True when an entry was opened
+ */
+function openErrorCodeEntry(query) {
+    const code = getErrorCodeFromQuery(query);
+    if (!code) return Promise.resolve(false);
+    
+    return findErrorCodeEntry(code).then(function(entry) {
+        if (!entry) return false;
+        
+        recordSearchVisit(entry, query);
+        navigateToResult(entry);
+        return true;
+    });
+}
+
+/**
+ * Show the summary card of an error code entry above the results. The page
+ * stays where it is while the reader types; the entry opens on Enter or
+ * with the card's link.
+ * @param {string} query - Search query
+ */
+function showErrorCodeLookup(query) {
+    const code = getErrorCodeFromQuery(query);
+    if (!code) return;
+    
+    const isCurrentQuery = function() {
+        const searchInput = document.querySelector('.enhanced-search-input');
+        return searchInput && getErrorCodeFromQuery(searchInput.value) === code;
+    };
+    
+    findErrorCodeEntry(code).then(function(entry) {
+        if (!entry || !isCurrentQuery()) return null;
+        
+        return loadErrorCodeDetails(entry).then(details => details && { details: details, entry: entry });
+    }).then(function(lookup) {
+        const resultsContainer = document.querySelector('.search-results-container');
+        
+        // Ignore lookups that finished after the query changed
+        if (!lookup || !resultsContainer || !isCurrentQuery()) return;
+        
+        const details = lookup.details;
+        resultsContainer.querySelectorAll('.error-code-card').forEach(card => card.remove());
+        resultsContainer.insertBefore(createErrorCodeCard(code, details, lookup.entry), resultsContainer.firstChild);
+        setSearchResultsExpanded(true);
+        announceToScreenReader(translate('errorCode.summary', { code: code, message: details.fields.message || details.title }));
+    });
+}
+
+/**
+ * Load the catalogue section for an error code from this page or the page it lives on
+ * @param {Object} entry - Search index entry of the error code heading
+ * @returns {Promise<Object|null>} Extracted details, or null when unavailable
+ */
+function loadErrorCodeDetails(entry) {
+    window.errorCodeDetailsCache = window.errorCodeDetailsCache || new Map();
+    if (window.errorCodeDetailsCache.has(entry.url)) {
+        return window.errorCodeDetailsCache.get(entry.url);
+    }
+    
+    const url = new URL(entry.url, window.location.href);
+    const headingId = decodeURIComponent(url.hash.substring(1));
+    let detailsPromise;
+    
+    if (entry.url.startsWith('#')) {
+        detailsPromise = Promise.resolve(extractErrorCodeDetails(document.getElementById(headingId)));
+    } else {
+        detailsPromise = fetch(url.href, { credentials: 'same-origin' })
+            .then(response => response.ok ? response.text() : Promise.reject(new Error(response.status)))
+            .then(function(html) {
+                const page = new DOMParser().parseFromString(html, 'text/html');
+                return extractErrorCodeDetails(page.getElementById(headingId));
+            })
+            .catch(function(err) {
+                console.warn('Unable to load error code entry: ', err);
+                return null;
+            });
+    }
+    
+    window.errorCodeDetailsCache.set(entry.url, detailsPromise);
+    return detailsPromise;
+}
+
+/**
+ * Labels of the error code fields in the troubleshooting pages (en and pt)
+ */
+const ERROR_CODE_FIELD_LABELS = {
+    message: ['error message', 'mensagem de erro'],
+    severity: ['severity', 'severidade'],
+    category: ['category', 'categoria'],
+    description: ['description', 'descrição'],
+    actions: ['immediate actions', 'actions', 'solution', 'ações imediatas', 'ações', 'solução']
+};
+
+/**
+ * Read the fields, action list and code blocks of an error code entry from
+ * the "**Label:** value" lines following its heading
+ * @param {Element|null} heading - Error code heading
+ * @returns {Object|null} Details as { title, fields, actions, commands }
+ */
+function extractErrorCodeDetails(heading) {
+    if (!heading) return null;
+    
+    const level = parseInt(heading.tagName.charAt(1));
+    const details = { title: heading.textContent.trim(), fields: {}, actions: [], commands: [] };
+    let pendingField = '';
+    
+    const getField = function(label) {
+        const normalized = label.toLowerCase();
+        return Object.keys(ERROR_CODE_FIELD_LABELS).find(field => ERROR_CODE_FIELD_LABELS[field].includes(normalized)) || '';
+    };
+    let sibling = heading.nextElementSibling;
+    
+    // The entry ends at the next heading of the same or higher level, or a rule
+    while (sibling && sibling.tagName !== 'HR' &&
+        !(/^H[1-6]$/.test(sibling.tagName) && parseInt(sibling.tagName.charAt(1)) <= level)) {
+        if (sibling.tagName === 'P') {
+            // A paragraph may hold several "**Label:** value" lines
+            let name = '';
+            const values = {};
+            
+            sibling.childNodes.forEach(function(node) {
+                if (node.nodeName === 'STRONG' && /:\s*$/.test(node.textContent)) {
+                    name = node.textContent.replace(/:\s*$/, '').trim();
+                    values[name] = '';
+                } else if (name) {
+                    values[name] += node.textContent;
+                }
+            });
+            
+            Object.keys(values).forEach(function(label) {
+                const field = getField(label);
+                const value = values[label].trim();
+                if (field && value && !details.fields[field]) {
+                    details.fields[field] = value;
+                } else if (!value) {
+                    pendingField = field;
+                }
+            });
+        } else if ((sibling.tagName === 'OL' || sibling.tagName === 'UL') && pendingField === 'actions') {
+            details.actions = Array.from(sibling.querySelectorAll(':scope > li')).map(li => li.textContent.trim());
+        }
+        
+        const codeElements = sibling.matches('pre') ? [sibling.querySelector('code') || sibling] : sibling.querySelectorAll('pre code');
+        codeElements.forEach(function(code) {
+            details.commands.push(code.textContent.trim());
+        });
+        
+        sibling = sibling.nextElementSibling;
+    }
+    
+    return details;
+}
+
+/**
+ * Create the compact problem/solution card for an error code
+ * @param {string} code - Error code
+ * @param {Object} details - Result of extractErrorCodeDetails()
+ * @param {Object} entry - Search index entry of the error code heading
+ * @returns {Element} Card element
+ */
+function createErrorCodeCard(code, details, entry) {
+    const card = document.createElement('div');
+    card.className = 'error-code-card';
+    card.setAttribute('role', 'region');
+    card.setAttribute('aria-label', translate('errorCode.label', { code: code }));
+    
+    const header = document.createElement('div');
+    header.className = 'error-code-card-header';
+    
+    const badge = document.createElement('span');
+    badge.className = 'error-code-badge';
+    badge.textContent = code;
+    header.appendChild(badge);
+    
+    if (details.fields.severity) {
+        const level = details.fields.severity.toLowerCase();
+        const labelKey = 'errorCode.severity.' + level;
+        const label = translate(labelKey);
+        
+        const severity = document.createElement('span');
+        severity.className = 'error-code-severity ' + level;
+        severity.textContent = label === labelKey ? details.fields.severity : label;
+        header.appendChild(severity);
+    }
+    
+    const link = document.createElement('a');
+    link.className = 'error-code-link';
+    link.href = entry.url;
+    link.textContent = translate('errorCode.open');
+    link.addEventListener('click', function(e) {
+        e.preventDefault();
+        recordSearchVisit(entry, code);
+        navigateToResult(entry);
+        hideSearchResults();
+    });
+    header.appendChild(link);
+    card.appendChild(header);
+    
+    if (details.fields.message) {
+        const message = document.createElement('code');
+        message.className = 'error-code-message';
+        message.textContent = details.fields.message;
+        card.appendChild(message);
+    } else {
+        // Say so rather than showing a card that looks complete
+        const missing = document.createElement('p');
+        missing.className = 'error-code-missing';
+        missing.textContent = translate('errorCode.missing');
+        card.appendChild(missing);
+    }
+    
+    if (details.fields.description) {
+        const description = document.createElement('p');
+        description.className = 'error-code-description';
+        description.textContent = details.fields.description;
+        card.appendChild(description);
+    }
+    
+    if (details.actions.length > 0) {
+        const actions = document.createElement('ol');
+        actions.className = 'error-code-actions';
+        details.actions.forEach(function(action) {
+            const item = document.createElement('li');
+            item.textContent = action;
+            actions.appendChild(item);
+        });
+        card.appendChild(actions);
+    }
+    
+    if (details.commands.length > 0) {
+        const commands = document.createElement('pre');
+        commands.className = 'error-code-commands';
+        const commandsCode = document.createElement('code');
+        commandsCode.textContent = details.commands.join('\n\n');
+        commands.appendChild(commandsCode);
+        card.appendChild(commands);
+        
+        const copyAll = document.createElement('button');
+        copyAll.type = 'button';
+        copyAll.className = 'error-code-copy-all';
+        copyAll.innerHTML = `<span>${escapeHtml(translate('errorCode.copyAll'))}</span>`;
+        copyAll.addEventListener('click', function(e) {
+            e.stopPropagation();
+            copyCodeToClipboard(commands, copyAll);
+        });
+        card.appendChild(copyAll);
+    }
+    
+    return card;
+}
+
+/**
+ * localStorage key and limits for the enhanced search history
+ */
+const SEARCH_HISTORY_KEY = 'enhanced-search-history';
+const SEARCH_HISTORY_LIMIT = 8;
+
+/**
+ * Load recent queries and visited results from localStorage
+ * @returns {Object} History with `queries` and `visited` arrays
+ */
+function loadSearchHistory() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SEARCH_HISTORY_KEY));
+        if (stored && Array.isArray(stored.queries) && Array.isArray(stored.visited)) {
+            return stored;
+        }
+    } catch (err) {
+        // Storage disabled or corrupted: start with an empty history
+    }
+    
+    return { queries: [], visited: [] };
+}
+
+/**
+ * Persist search history to localStorage
+ * @param {Object} history - History with `queries` and `visited` arrays
+ */
+function saveSearchHistory(history) {
+    try {
+        localStorage.setItem(SEARCH_HISTORY_KEY, JSON.stringify(history));
+    } catch (err) {
+        console.warn('Unable to save search history: ', err);
+    }
+}
+
+/**
+ * Remember a query as the most recent search
+ * @param {string} query - Search query
+ */
+function recordSearchQuery(query) {
+    const trimmed = query.trim();
+    if (trimmed.length < 2) return;
+    
+    const history = loadSearchHistory();
+    history.queries = [trimmed]
+        .concat(history.queries.filter(item => item.toLowerCase() !== trimmed.toLowerCase()))
+        .slice(0, SEARCH_HISTORY_LIMIT);
+    saveSearchHistory(history);
+}
+
+/**
+ * Remember a visited search result and the query that led to it
+ * @param {Object} result - Search result
+ * @param {string} query - Search query
+ */
+function recordSearchVisit(result, query) {
+    if (query) recordSearchQuery(query);
+    
+    const history = loadSearchHistory();
+    const url = new URL(result.url, window.location.href).href;
+    const entry = {
+        title: result.title,
+        url: url,
+        pageTitle: result.pageTitle || document.title,
+        query: query || ''
+    };
+    
+    history.visited = [entry]
+        .concat(history.visited.filter(item => item.url !== url))
+        .slice(0, SEARCH_HISTORY_LIMIT);
+    saveSearchHistory(history);
+}
+
+/**
+ * Forget all recent queries and visited results
+ */
+function clearSearchHistory() {
+    saveSearchHistory({ queries: [], visited: [] });
+    renderSearchSuggestions();
+    announceToScreenReader(translate('search.historyCleared'));
+}
+
+/**
+ * Derive popular topics from the indexed headings
+ * @param {number} limit - Maximum number of topics
+ * @returns {Promise<Array>} Topics as { label, query }
+ */
+function getPopularTopics(limit = 6) {
+    return getSearchClient()
+        .request('topics', { limit: limit })
+        .catch(function(err) {
+            console.warn('Unable to load popular topics: ', err);
+            return [];
+        });
+}
+
+/**
+ * Render recent searches, visited results and popular topics
+ */
+function renderSearchSuggestions() {
+    const recentSection = document.querySelector('.search-recent');
+    const recentItems = document.querySelector('.search-recent-items');
+    const topicTags = document.querySelector('.search-suggestion-tags');
+    
+    if (recentSection && recentItems) {
+        const history = loadSearchHistory();
+        recentItems.textContent = '';
+        
+        history.queries.forEach(function(query) {
+            const tag = document.createElement('span');
+            tag.className = 'search-suggestion-tag search-recent-query';
+            tag.setAttribute('data-query', query);
+            tag.textContent = query;
+            recentItems.appendChild(tag);
+        });
+        
+        history.visited.forEach(function(entry, index) {
+            const link = document.createElement('a');
+            link.className = 'search-recent-result';
+            link.href = entry.url;
+            link.setAttribute('data-index', index);
+            link.textContent = entry.title;
+            
+            const page = document.createElement('span');
+            page.className = 'search-result-path';
+            page.textContent = entry.pageTitle;
+            link.appendChild(page);
+            
+            recentItems.appendChild(link);
+        });
+        
+        recentSection.hidden = history.queries.length === 0 && history.visited.length === 0;
+    }
+    
+    if (topicTags) {
+        getPopularTopics().then(function(topics) {
+            topicTags.textContent = '';
+            
+            topics.forEach(function(topic) {
+                const tag = document.createElement('span');
+                tag.className = 'search-suggestion-tag';
+                tag.setAttribute('data-query', topic.query);
+                tag.textContent = topic.label;
+                topicTags.appendChild(tag);
+            });
+            
+            topicTags.parentElement.hidden = topicTags.children.length === 0;
+        });
+    }
+}
+
+/**
+ * Initialize content filtering and tagging
+ */
+function initializeContentFiltering() {
+    // Add content tags to sections
+    addContentTags();
+    
+    // Create filter controls
+    createFilterControls();
+    
+    // Setup filtering functionality
+    setupFilterFunctionality();
+}
+
+/**
+ * Add content tags to sections
+ */
+function addContentTags() {
+    const pageTags = getPageTags();
+    
+    getContentSections().forEach(function(section) {
+        const heading = section.heading;
+        if (heading.nextElementSibling && heading.nextElementSibling.matches('.content-tags')) return;
+        
+        const tags = getSectionTags(section, pageTags);
+        if (tags.length > 0) {
+            const tagContainer = document.createElement('div');
+            tagContainer.className = 'content-tags';
+            
+            tags.forEach(function(entry) {
+                const tagElement = document.createElement('span');
+                tagElement.className = 'content-tag content-tag--' + entry.source;
+                tagElement.textContent = entry.tag;
+                tagElement.setAttribute('data-tag', entry.tag);
+                tagElement.setAttribute('data-tag-source', entry.source);
+                tagElement.title = translate('tags.source.' + entry.source);
+                tagContainer.appendChild(tagElement);
+            });
+            
+            heading.parentNode.insertBefore(tagContainer, heading.nextSibling);
+        }
+    });
+}
+
+/**
+ * Resolve the tags of a section: per-section `data-tags` and the page's
+ * MkDocs tags, falling back to keyword matching only when neither is declared
+ * @param {Object} section - Result of getContentSections()
+ * @param {Array} pageTags - Result of getPageTags()
+ * @returns {Array} Tags as { tag, source } with source "section", "page" or "keyword"
+ */
+function getSectionTags(section, pageTags) {
+    const tags = new Map();
+    
+    // `data-tags` can be set on the md_in_html block or the heading (attr_list)
+    [section.container, section.heading].filter(Boolean).forEach(function(element) {
+        parseTagList(element.getAttribute('data-tags')).forEach(function(tag) {
+            tags.set(tag, 'section');
+        });
+    });
+    
+    pageTags.forEach(function(tag) {
+        if (!tags.has(tag)) tags.set(tag, 'page');
+    });
+    
+    if (tags.size === 0) {
+        extractTagsFromContent(section).forEach(function(tag) {
+            tags.set(tag, 'keyword');
+        });
+    }
+    
+    return Array.from(tags, ([tag, source]) => ({ tag, source }));
+}
+
+/**
+ * Read the tags declared in the page front matter, as rendered by the tags plugin
+ * @returns {Array} Tag identifiers
+ */
+function getPageTags() {
+    const tags = new Set();
+    
+    document.querySelectorAll('.md-tags .md-tag').forEach(function(tagElement) {
+        // Tags mapped in `extra.tags` carry their identifier as an md-tag--<id> class
+        const idClass = Array.from(tagElement.classList).find(className => /^md-tag--/.test(className));
+        const tag = idClass ? idClass.replace('md-tag--', '') : normalizeContentTag(tagElement.textContent);
+        if (tag) tags.add(tag);
+    });
+    
+    return Array.from(tags);
+}
+
+/**
+ * Split a comma or space separated tag list
+ * @param {string|null} value - Attribute value
+ * @returns {Array} Tag identifiers
+ */
+function parseTagList(value) {
+    return (value || '').split(/[,\s]+/).map(normalizeContentTag).filter(Boolean);
+}
+
+/**
+ * Normalize a tag name to the identifier used by filters
+ * @param {string} name - Tag name
+ * @returns {string} Lower-case identifier
+ */
+function normalizeContentTag(name) {
+    return name.trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Guess tags from keywords in a section that declares none
+ * @param {Object} section - Result of getContentSections()
+ * @returns {Array} Array of tags
+ */
+function extractTagsFromContent(section) {
+    const text = getSectionText(section.heading).toLowerCase();
+    const tags = [];
+    
+    // Define tag mappings
+    const tagMappings = {
+        'configuration': ['config', 'setup', 'settings', 'properties'],
+        'database': ['postgresql', 'sql', 'migration', 'connection'],
+        'docker': ['container', 'compose', 'dockerfile', 'image'],
+        'troubleshooting': ['error', 'problem', 'issue', 'debug', 'fix'],
+        'environment': ['dev', 'staging', 'production', 'env'],
+        'security': ['auth', 'authentication', 'authorization', 'ssl', 'tls'],
+        'performance': ['optimization', 'cache', 'speed', 'memory'],
+        'api': ['endpoint', 'rest', 'json', 'request', 'response']
+    };
+    
+    Object.keys(tagMappings).forEach(function(tag) {
+        const keywords = [tag, ...tagMappings[tag]];
+        if (keywords.some(keyword => text.includes(keyword))) {
+            tags.push(tag);
+        }
+    });
+    
+    return tags;
+}
+
+/**
+ * Difficulty levels offered as filter chips, in display order
+ */
+const CONTENT_FILTER_DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+
+/**
+ * Query string parameters holding the content filter state. They must not
+ * clash with the search parameters in SEARCH_URL_PARAMS.
+ */
+const CONTENT_FILTER_URL_PARAMS = {
+    tags: 'tags',
+    difficulty: 'difficulty',
+    audience: 'audience',
+    mode: 'match'
+};
+
+/**
+ * Filter chip kinds and the state list each one fills
+ */
+const CONTENT_FILTER_KINDS = {
+    tag: 'tags',
+    difficulty: 'difficulty',
+    audience: 'audience'
+};
+
+/**
+ * Filter state with nothing selected
+ * @returns {Object} State as { tags, difficulty, audience, mode }
+ */
+function getEmptyContentFilterState() {
+    return { tags: [], difficulty: [], audience: [], mode: 'any' };
+}
+
+/**
+ * localStorage key holding the content filter state of each page
+ */
+const CONTENT_FILTER_STORAGE_KEY = 'enhanced-content-filters';
+
+/**
+ * Get the tags of a section, as added by addContentTags()
+ * @param {Object} section - Result of getContentSections()
+ * @returns {Set} Tag identifiers
+ */
+function getSectionTagSet(section) {
+    return new Set(querySectionAll(section, '.content-tag').map(tag => tag.getAttribute('data-tag')));
+}
+
+/**
+ * Create filter controls: a tag cloud of the tags used on the page,
+ * difficulty chips, the AND/OR mode and the shown sections counter
+ */
+function createFilterControls() {
+    const contentArea = document.querySelector('.md-content__inner');
+    const searchContainer = contentArea ? contentArea.querySelector('.enhanced-search-container') : null;
+    if (!searchContainer || contentArea.querySelector('.filter-controls')) return;
     
-    if (!searchInput || !resultsContainer) return;
+    const sections = getContentSections();
+    const tagCounts = new Map();
+    sections.forEach(function(section) {
+        getSectionTagSet(section).forEach(function(tag) {
+            tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
+        });
+    });
     
-    let currentQuery = '';
-    let selectedIndex = -1;
+    const filterHTML = `
+        <div class="filter-controls" role="group" aria-label="${escapeHtml(translate('filters.label'))}">
+            <div class="filter-group">
+                <span class="filter-label" id="tag-filter-label">${escapeHtml(translate('filters.tags'))}</span>
+                <div class="filter-chips filter-tag-cloud" role="group" aria-labelledby="tag-filter-label"></div>
+            </div>
+            <div class="filter-group">
+                <span class="filter-label" id="filter-mode-label">${escapeHtml(translate('filters.match'))}</span>
+                <div class="filter-chips" role="group" aria-labelledby="filter-mode-label">
+                    <button type="button" class="filter-chip filter-mode" data-mode="any" aria-pressed="true">${escapeHtml(translate('filters.matchAny'))}</button>
+                    <button type="button" class="filter-chip filter-mode" data-mode="all" aria-pressed="false">${escapeHtml(translate('filters.matchAll'))}</button>
+                </div>
+            </div>
+            <div class="filter-group">
+                <span class="filter-label" id="difficulty-filter-label">${escapeHtml(translate('filters.difficulty'))}</span>
+                <div class="filter-chips filter-difficulties" role="group" aria-labelledby="difficulty-filter-label"></div>
+            </div>
+            <div class="filter-group">
+                <span class="filter-label" id="audience-filter-label">${escapeHtml(translate('filters.audience'))}</span>
+                <div class="filter-chips filter-audiences" role="group" aria-labelledby="audience-filter-label"></div>
+            </div>
+            <div class="filter-group filter-summary">
+                <span class="filter-count"></span>
+                <button class="clear-filters" type="button">${escapeHtml(translate('filters.clear'))}</button>
+            </div>
+        </div>
+    `;
     
-    // Debounced search function
-    const performSearch = debounce(function(query) {
-        if (query.length < 2) {
-            hideSearchResults();
-            return;
-        }
-        
-        const results = searchContent(query);
-        displaySearchResults(results, query);
-    }, 300);
+    searchContainer.insertAdjacentHTML('afterend', filterHTML);
     
-    // Search input event listeners
-    searchInput.addEventListener('input', function(e) {
-        currentQuery = e.target.value.trim();
-        selectedIndex = -1;
-        performSearch(currentQuery);
+    // Size tags by how many sections use them
+    const tagCloud = contentArea.querySelector('.filter-tag-cloud');
+    const maxCount = Math.max(1, ...tagCounts.values());
+    Array.from(tagCounts.keys()).sort().forEach(function(tag) {
+        const count = tagCounts.get(tag);
+        const chip = createFilterChip('tag', tag, `${tag} (${count})`);
+        chip.style.setProperty('--tag-weight', (count / maxCount).toFixed(2));
+        tagCloud.appendChild(chip);
     });
+    tagCloud.closest('.filter-group').hidden = tagCounts.size === 0;
+    contentArea.querySelector('.filter-mode').closest('.filter-group').hidden = tagCounts.size < 2;
     
-    searchInput.addEventListener('keydown', function(e) {
-        const resultItems = resultsContainer.querySelectorAll('.search-result-item');
-        
-        switch(e.key) {
-            case 'ArrowDown':
-                e.preventDefault();
-                selectedIndex = Math.min(selectedIndex + 1, resultItems.length - 1);
-                updateSelectedResult(resultItems);
-                break;
-            case 'ArrowUp':
-                e.preventDefault();
-                selectedIndex = Math.max(selectedIndex - 1, -1);
-                updateSelectedResult(resultItems);
-                break;
-            case 'Enter':
-                e.preventDefault();
-                if (selectedIndex >= 0 && resultItems[selectedIndex]) {
-                    resultItems[selectedIndex].click();
-                }
-                break;
-            case 'Escape':
-                hideSearchResults();
-                searchInput.blur();
-                break;
+    const difficulties = contentArea.querySelector('.filter-difficulties');
+    CONTENT_FILTER_DIFFICULTIES.forEach(function(level) {
+        difficulties.appendChild(createFilterChip('difficulty', level, translate('difficulty.' + level)));
+    });
+    
+    // Only offer audiences that some section is written for
+    const audiences = contentArea.querySelector('.filter-audiences');
+    CONTENT_AUDIENCES.forEach(function(name) {
+        if (document.querySelector(`.content-audience[data-audience="${name}"]`)) {
+            audiences.appendChild(createFilterChip('audience', name, translate('audience.' + name)));
         }
     });
+    audiences.closest('.filter-group').hidden = audiences.children.length === 0;
+}
+
+/**
+ * Create a toggleable filter chip
+ * @param {string} kind - Key of CONTENT_FILTER_KINDS
+ * @param {string} value - Filter value
+ * @param {string} label - Visible label
+ * @returns {Element} Chip button
+ */
+function createFilterChip(kind, value, label) {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'filter-chip';
+    chip.setAttribute('data-filter', kind);
+    chip.setAttribute('data-value', value);
+    chip.setAttribute('aria-pressed', 'false');
+    chip.textContent = label;
+    return chip;
+}
+
+/**
+ * Setup filtering functionality
+ */
+function setupFilterFunctionality() {
+    const filterControls = document.querySelector('.filter-controls');
+    if (!filterControls) return;
     
-    searchInput.addEventListener('focus', function() {
-        if (currentQuery.length >= 2) {
-            resultsContainer.classList.add('active');
+    // Chip, mode and clear handlers
+    filterControls.addEventListener('click', function(e) {
+        const chip = e.target.closest('.filter-chip');
+        
+        if (chip && chip.classList.contains('filter-mode')) {
+            setContentFilterState(Object.assign(getContentFilterState(), { mode: chip.getAttribute('data-mode') }));
+        } else if (chip) {
+            chip.setAttribute('aria-pressed', chip.getAttribute('aria-pressed') === 'true' ? 'false' : 'true');
+        } else if (e.target.closest('.clear-filters')) {
+            setContentFilterState(getEmptyContentFilterState());
+        } else {
+            return;
         }
+        
+        applyFilters();
     });
     
-    // Suggestion tag event listeners
-    suggestionTags.forEach(function(tag) {
+    // Tags shown in the content toggle the matching chip
+    document.querySelectorAll('.content-tag').forEach(function(tag) {
         tag.addEventListener('click', function() {
-            const query = this.getAttribute('data-query');
-            searchInput.value = query;
-            currentQuery = query;
-            performSearch(query);
-            searchInput.focus();
+            const state = getContentFilterState();
+            const tagValue = this.getAttribute('data-tag');
+            
+            state.tags = state.tags.includes(tagValue) ?
+                state.tags.filter(value => value !== tagValue) :
+                state.tags.concat(tagValue);
+            
+            setContentFilterState(state);
+            applyFilters();
         });
     });
     
-    // Click outside to close
-    document.addEventListener('click', function(e) {
-        if (!searchInput.contains(e.target) && !resultsContainer.contains(e.target)) {
-            hideSearchResults();
-        }
+    // Restore filters shared in the URL, or the ones last used on this page
+    setContentFilterState(loadContentFilterState());
+    applyFilters(false);
+}
+
+/**
+ * Read the filter state from the chips
+ * @returns {Object} State as { tags, difficulty, audience, mode }
+ */
+function getContentFilterState() {
+    const state = getEmptyContentFilterState();
+    const mode = document.querySelector('.filter-mode[aria-pressed="true"]');
+    
+    Object.keys(CONTENT_FILTER_KINDS).forEach(function(kind) {
+        state[CONTENT_FILTER_KINDS[kind]] = Array.from(
+            document.querySelectorAll(`.filter-chip[data-filter="${kind}"][aria-pressed="true"]`),
+            chip => chip.getAttribute('data-value'));
     });
+    
+    state.mode = mode ? mode.getAttribute('data-mode') : 'any';
+    return state;
 }
 
 /**
- * Search content based on query
- * @param {string} query - Search query
- * @returns {Array} Search results
+ * Reflect a filter state on the chips. Values without a chip on this page are ignored.
+ * @param {Object} state - State as { tags, difficulty, audience, mode }
  */
-function searchContent(query) {
-    if (!window.searchIndex) return [];
+function setContentFilterState(state) {
+    document.querySelectorAll('.filter-chip[data-filter]').forEach(function(chip) {
+        const values = state[CONTENT_FILTER_KINDS[chip.getAttribute('data-filter')]] || [];
+        chip.setAttribute('aria-pressed', values.includes(chip.getAttribute('data-value')) ? 'true' : 'false');
+    });
     
-    const queryLower = query.toLowerCase();
-    const results = [];
+    document.querySelectorAll('.filter-mode').forEach(function(button) {
+        button.setAttribute('aria-pressed', button.getAttribute('data-mode') === state.mode ? 'true' : 'false');
+    });
+}
+
+/**
+ * Load the filter state from the query string, falling back to localStorage
+ * @returns {Object} State as { tags, difficulty, audience, mode }
+ */
+function loadContentFilterState() {
+    const params = new URLSearchParams(window.location.search);
+    const shared = Object.values(CONTENT_FILTER_URL_PARAMS).some(param => params.has(param));
+    const state = getEmptyContentFilterState();
+    
+    if (shared) {
+        Object.values(CONTENT_FILTER_KINDS).forEach(function(key) {
+            state[key] = parseTagList(params.get(CONTENT_FILTER_URL_PARAMS[key]));
+        });
+        state.mode = params.get(CONTENT_FILTER_URL_PARAMS.mode) === 'all' ? 'all' : 'any';
+        return state;
+    }
     
-    window.searchIndex.forEach(function(item) {
-        const titleMatch = item.title.toLowerCase().includes(queryLower);
-        const contentMatch = item.content.toLowerCase().includes(queryLower);
-        
-        if (titleMatch || contentMatch) {
-            let score = 0;
-            
-            // Higher score for title matches
-            if (titleMatch) score += 10;
-            if (contentMatch) score += 5;
-            
-            // Higher score for exact matches
-            if (item.title.toLowerCase() === queryLower) score += 20;
-            
-            // Higher score for headings
-            if (item.type === 'heading') score += 5;
-            
-            results.push({
-                ...item,
-                score: score
+    try {
+        const stored = JSON.parse(localStorage.getItem(CONTENT_FILTER_STORAGE_KEY)) || {};
+        const saved = stored[normalizePagePath(window.location.pathname)];
+        if (saved) {
+            Object.values(CONTENT_FILTER_KINDS).forEach(function(key) {
+                if (Array.isArray(saved[key])) state[key] = saved[key];
             });
+            state.mode = saved.mode === 'all' ? 'all' : 'any';
         }
-    });
+    } catch (err) {
+        // Storage disabled or corrupted: start without filters
+    }
     
-    // Sort by score and limit results
-    return results.sort((a, b) => b.score - a.score).slice(0, 10);
+    return state;
 }
 
 /**
- * Display search results
- * @param {Array} results - Search results
- * @param {string} query - Search query
+ * Persist the filter state to the query string and localStorage
+ * @param {Object} state - State as { tags, difficulty, audience, mode }
  */
-function displaySearchResults(results, query) {
-    const resultsContainer = document.querySelector('.search-results-container');
-    if (!resultsContainer) return;
+function saveContentFilterState(state) {
+    const lists = Object.values(CONTENT_FILTER_KINDS);
+    const active = lists.some(key => state[key].length > 0);
+    const url = new URL(window.location.href);
+    
+    Object.values(CONTENT_FILTER_URL_PARAMS).forEach(param => url.searchParams.delete(param));
+    
+    if (active) {
+        // Skip empty lists to keep shared links short
+        lists.forEach(function(key) {
+            if (state[key].length > 0) {
+                url.searchParams.set(CONTENT_FILTER_URL_PARAMS[key], state[key].join(','));
+            }
+        });
+        url.searchParams.set(CONTENT_FILTER_URL_PARAMS.mode, state.mode);
+    }
     
-    // Clear existing results (except suggestions)
-    const existingResults = resultsContainer.querySelectorAll('.search-result-item');
-    existingResults.forEach(function(item) {
-        item.remove();
+    if (url.href !== window.location.href) {
+        history.replaceState(history.state, '', url.href);
+    }
+    
+    try {
+        const stored = JSON.parse(localStorage.getItem(CONTENT_FILTER_STORAGE_KEY)) || {};
+        const page = normalizePagePath(window.location.pathname);
+        
+        if (active) {
+            stored[page] = state;
+        } else {
+            delete stored[page];
+        }
+        localStorage.setItem(CONTENT_FILTER_STORAGE_KEY, JSON.stringify(stored));
+    } catch (err) {
+        console.warn('Unable to save content filters: ', err);
+    }
+}
+
+/**
+ * Apply content filters. Selected tags combine with OR or AND depending on
+ * the mode; selected difficulties and audiences each combine with OR, and the
+ * three dimensions combine with AND.
+ * @param {boolean} announce - Announce the result to screen readers
+ */
+function applyFilters(announce = true) {
+    const state = getContentFilterState();
+    const sections = getContentSections();
+    let visibleSections = 0;
+    
+    sections.forEach(function(section) {
+        const sectionTags = getSectionTagSet(section);
+        const hasTag = tag => sectionTags.has(tag);
+        
+        // Tag filter
+        const tagsMatch = state.tags.length === 0 ||
+            (state.mode === 'all' ? state.tags.every(hasTag) : state.tags.some(hasTag));
+        
+        // Difficulty filter
+        const badges = querySectionAll(section, '.content-category');
+        const difficultyMatches = state.difficulty.length === 0 ||
+            state.difficulty.some(level => badges.some(badge => badge.classList.contains(level)));
+        
+        // Audience filter
+        const audiences = querySectionAll(section, '.content-audience').map(badge => badge.getAttribute('data-audience'));
+        const audienceMatches = state.audience.length === 0 ||
+            state.audience.some(name => audiences.includes(name));
+        
+        // Apply visibility
+        const visible = tagsMatch && difficultyMatches && audienceMatches;
+        section.elements.forEach(element => element.style.display = visible ? '' : 'none');
+        if (visible) visibleSections++;
     });
     
-    if (results.length === 0) {
-        showNoResults(query);
-        return;
+    // Mirror the selection on the tags shown in the content
+    document.querySelectorAll('.content-tag').forEach(function(tag) {
+        tag.classList.toggle('active', state.tags.includes(tag.getAttribute('data-tag')));
+    });
+    
+    const summary = translate('filters.summary', { visible: visibleSections, count: sections.length });
+    const counter = document.querySelector('.filter-count');
+    if (counter) counter.textContent = summary;
+    
+    saveContentFilterState(state);
+    
+    // Announce filter results to screen readers
+    if (announce) {
+        announceToScreenReader(summary);
     }
+}
+
+/**
+ * Initialize recently updated indicators from the page history manifest
+ */
+function initializeRecentlyUpdatedIndicators() {
+    loadPageHistory().then(forCurrentPage(function(history) {
+        const heading = document.querySelector('.md-typeset h1');
+        if (!history || !heading || !isRecentChange(history) || heading.querySelector('.updated-indicator')) return;
+        
+        const indicator = document.createElement('span');
+        indicator.className = 'updated-indicator';
+        indicator.textContent = translate('history.badge', { label: translate('history.updated'), date: formatRelativeDate(history.updated) });
+        indicator.setAttribute('title', describeChange(history, translate('history.updated')));
+        
+        heading.appendChild(indicator);
+        heading.classList.add('recently-updated');
+    }));
+}
+
+/**
+ * Load the history of the current page
+ * @returns {Promise<Object|null>} History of the current page, or null when unavailable
+ */
+function loadPageHistory() {
+    const pageKey = getCurrentPageKey();
     
-    // Create result items
-    results.forEach(function(result, index) {
-        const resultItem = createSearchResultItem(result, query, index);
-        resultsContainer.insertBefore(resultItem, resultsContainer.firstChild);
+    return loadPageHistoryManifest().then(function(manifest) {
+        return manifest && manifest.pages ? manifest.pages[pageKey] || null : null;
     });
+}
+
+/**
+ * Load the page history manifest generated by scripts/generate-page-history.js,
+ * once for all the pages visited with instant navigation
+ * @returns {Promise<Object|null>} Manifest, or null when unavailable
+ */
+function loadPageHistoryManifest() {
+    if (window.pageHistoryPromise) {
+        return window.pageHistoryPromise;
+    }
     
-    resultsContainer.classList.add('active');
+    const manifestUrl = new URL(getEnhancedFeaturesConfig().history_manifest, getSiteBaseUrl()).href;
+    
+    window.pageHistoryPromise = fetch(manifestUrl, { credentials: 'same-origin' })
+        .then(response => response.ok ? response.json() : null)
+        .catch(function(err) {
+            console.warn('Page history unavailable: ', err);
+            return null;
+        });
+    
+    return window.pageHistoryPromise;
 }
 
 /**
- * Create search result item
- * @param {Object} result - Search result
- * @param {string} query - Search query
- * @param {number} index - Result index
- * @returns {Element} Result item element
+ * Path of the current page relative to the site root, as keyed in the history manifest
+ * @returns {string} Page key, empty for the home page
  */
-function createSearchResultItem(result, query, index) {
-    const item = document.createElement('div');
-    item.className = 'search-result-item';
-    item.setAttribute('role', 'option');
-    item.setAttribute('aria-selected', 'false');
+function getCurrentPageKey() {
+    const basePath = normalizePagePath(new URL(getSiteBaseUrl()).pathname);
+    return normalizePagePath(window.location.pathname).substring(basePath.length).replace(/^\/+/, '');
+}
+
+/**
+ * Check whether a change is recent enough to show a badge
+ * @param {Object} change - History entry with an ISO `updated` date
+ * @returns {boolean} True unless older than `recently_updated_days`
+ */
+function isRecentChange(change) {
+    const maxDays = getEnhancedFeaturesConfig().recently_updated_days;
+    const updated = Date.parse(change.updated);
     
-    const title = highlightSearchTerm(result.title, query);
-    const excerpt = createExcerpt(result.content, query);
-    const path = getResultPath(result);
+    if (isNaN(updated)) return false;
+    return !maxDays || Date.now() - updated <= maxDays * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Describe a change for a badge tooltip
+ * @param {Object} change - History entry
+ * @param {string} label - What happened, e.g. "Updated"
+ * @returns {string} Relative date, commit subject and short hash
+ */
+function describeChange(change, label) {
+    return translate('history.change', {
+        label: label,
+        date: formatRelativeDate(change.updated),
+        subject: change.subject,
+        commit: change.commit
+    });
+}
+
+/**
+ * Format a date relative to now, e.g. "3 days ago"
+ * @param {string} isoDate - ISO 8601 date
+ * @returns {string} Relative date
+ */
+function formatRelativeDate(isoDate) {
+    const seconds = (Date.parse(isoDate) - Date.now()) / 1000;
+    const units = [
+        ['year', 365 * 24 * 60 * 60],
+        ['month', 30 * 24 * 60 * 60],
+        ['week', 7 * 24 * 60 * 60],
+        ['day', 24 * 60 * 60],
+        ['hour', 60 * 60],
+        ['minute', 60]
+    ];
+    const formatter = new Intl.RelativeTimeFormat(getUiLanguage(), { numeric: 'auto' });
     
-    item.innerHTML = `
-        <div class="search-result-title">${title}</div>
-        <div class="search-result-excerpt">${excerpt}</div>
-        <div class="search-result-path">${path}</div>
-    `;
+    for (const [unit, unitSeconds] of units) {
+        if (Math.abs(seconds) >= unitSeconds) {
+            return formatter.format(Math.round(seconds / unitSeconds), unit);
+        }
+    }
     
-    item.addEventListener('click', function() {
-        navigateToResult(result);
-        hideSearchResults();
+    return formatter.format(0, 'minute');
+}
+
+/**
+ * Audiences a section can be written for
+ */
+const CONTENT_AUDIENCES = ['developer', 'ops', 'dba'];
+
+/**
+ * Fallback difficulty scoring for sections that declare no difficulty:
+ * score = shell commands × commandWeight + code lines × codeLineWeight + prerequisites × prerequisiteWeight.
+ * A score of at least `intermediate` makes the section intermediate, at least `advanced` advanced.
+ */
+const DIFFICULTY_SCORING = {
+    commandWeight: 1,
+    codeLineWeight: 0.1,
+    prerequisiteWeight: 2,
+    intermediate: 4,
+    advanced: 12
+};
+
+/**
+ * Code block languages whose lines count as commands in difficulty scoring
+ */
+const SHELL_LANGUAGES = ['bash', 'sh', 'shell', 'console', 'zsh', 'powershell', 'ps1'];
+
+/**
+ * Headings or lead-in paragraphs introducing a prerequisites list (en and pt)
+ */
+const PREREQUISITES_PATTERN = /\b(prerequisites?|requirements|pr[ée]-?requisitos?|requisitos)\b/i;
+
+/**
+ * Headings that start a content section: h2 to h6 placed directly in the page
+ * content or in an `md_in_html` block, but not inside admonitions
+ */
+const CONTENT_SECTION_HEADINGS = ['h2', 'h3', 'h4', 'h5', 'h6']
+    .map(tag => `.md-typeset > ${tag}, .md-typeset > div:not(.admonition) > ${tag}, .md-typeset > section > ${tag}`)
+    .join(', ');
+
+/**
+ * Split the page content into sections. MkDocs renders headings as siblings
+ * of the content, so a section is a heading and the elements up to the next
+ * heading, as in getSectionText().
+ * @returns {Array} Sections as { heading, container, elements }, where
+ *     `container` is the `md_in_html` block holding the heading, if any
+ */
+function getContentSections() {
+    const headings = Array.from(document.querySelectorAll(CONTENT_SECTION_HEADINGS)).filter(function(heading) {
+        return !heading.closest('.enhanced-search-container, .filter-controls');
+    });
+    // A block holding headings starts the sections inside it, ending the one before
+    const containers = new Set(headings.map(heading => heading.parentElement));
+    
+    return headings.map(function(heading) {
+        const container = heading.parentElement.matches('.md-typeset') ? null : heading.parentElement;
+        const elements = [heading];
+        
+        let sibling = heading.nextElementSibling;
+        while (sibling && !/^H[1-6]$/.test(sibling.tagName) && !containers.has(sibling)) {
+            elements.push(sibling);
+            sibling = sibling.nextElementSibling;
+        }
+        
+        return { heading: heading, container: container, elements: elements };
+    });
+}
+
+/**
+ * Find the elements of a section matching a selector, its own elements included
+ * @param {Object} section - Result of getContentSections()
+ * @param {string} selector - CSS selector
+ * @returns {Array} Matching elements in document order
+ */
+function querySectionAll(section, selector) {
+    return section.elements.flatMap(function(element) {
+        const matches = Array.from(element.querySelectorAll(selector));
+        return element.matches(selector) ? [element].concat(matches) : matches;
+    });
+}
+
+/**
+ * Initialize content categorization. Difficulty and audience come from the
+ * section (`data-difficulty`/`data-audience` or `difficulty-*`/`audience-*`
+ * admonition classes), then the page front matter; difficulty falls back to
+ * DIFFICULTY_SCORING when neither declares it.
+ */
+function initializeContentCategorization() {
+    const pageMetadata = getPageMetadata();
+    
+    getContentSections().forEach(function(section) {
+        const heading = section.heading;
+        if (heading.querySelector('.content-category')) return;
+        
+        const declared = getSectionMetadata(section);
+        let difficulty = declared.difficulty;
+        let source = 'section';
+        
+        if (!difficulty && pageMetadata.difficulty) {
+            difficulty = pageMetadata.difficulty;
+            source = 'page';
+        } else if (!difficulty) {
+            difficulty = scoreSectionDifficulty(section);
+            source = 'score';
+        }
+        
+        const audience = declared.audience.length > 0 ? declared.audience : pageMetadata.audience;
+        
+        audience.slice().reverse().forEach(function(name) {
+            const audienceBadge = document.createElement('span');
+            audienceBadge.className = 'content-audience';
+            audienceBadge.setAttribute('data-audience', name);
+            audienceBadge.textContent = translate('audience.' + name);
+            audienceBadge.setAttribute('title', translate('audience.title', { audience: translate('audience.' + name) }));
+            heading.insertBefore(audienceBadge, heading.firstChild);
+        });
+        
+        const categoryBadge = document.createElement('span');
+        categoryBadge.className = `content-category ${difficulty}`;
+        categoryBadge.textContent = translate('difficulty.' + difficulty);
+        categoryBadge.setAttribute('data-difficulty-source', source);
+        categoryBadge.setAttribute('title', translate(source === 'score' ? 'difficulty.estimatedTitle' : 'difficulty.title', {
+            level: translate('difficulty.' + difficulty)
+        }));
+        
+        heading.insertBefore(categoryBadge, heading.firstChild);
     });
-    
-    return item;
 }
 
 /**
- * Highlight search term in text
- * @param {string} text - Text to highlight
- * @param {string} query - Search query
- * @returns {string} Highlighted text
+ * Read the difficulty and audience declared in the page front matter,
+ * rendered by overrides/main.html
+ * @returns {Object} Metadata as { difficulty, audience }
  */
-function highlightSearchTerm(text, query) {
-    const regex = new RegExp(`(${escapeRegExp(query)})`, 'gi');
-    return text.replace(regex, '<span class="search-highlight">$1</span>');
+function getPageMetadata() {
+    const metadata = document.querySelector('.page-metadata');
+    return readContentMetadata(metadata ? [metadata] : []);
 }
 
 /**
- * Create excerpt from content
- * @param {string} content - Full content
- * @param {string} query - Search query
- * @returns {string} Content excerpt
+ * Read the difficulty and audience declared on a section's heading,
+ * its `md_in_html` block or an admonition inside it
+ * @param {Object} section - Result of getContentSections()
+ * @returns {Object} Metadata as { difficulty, audience }
  */
-function createExcerpt(content, query) {
-    const queryIndex = content.toLowerCase().indexOf(query.toLowerCase());
-    const excerptLength = 150;
-    
-    if (queryIndex === -1) {
-        return content.substring(0, excerptLength) + (content.length > excerptLength ? '...' : '');
-    }
-    
-    const start = Math.max(0, queryIndex - 50);
-    const end = Math.min(content.length, start + excerptLength);
-    
-    let excerpt = content.substring(start, end);
-    if (start > 0) excerpt = '...' + excerpt;
-    if (end < content.length) excerpt = excerpt + '...';
-    
-    return highlightSearchTerm(excerpt, query);
+function getSectionMetadata(section) {
+    const admonitions = querySectionAll(section, '.admonition');
+    return readContentMetadata([section.heading, section.container].filter(Boolean).concat(admonitions));
 }
 
 /**
- * Get result path for display
- * @param {Object} result - Search result
- * @returns {string} Result path
+ * Collect difficulty and audience from data attributes and admonition classes,
+ * ignoring values that are not known levels or audiences
+ * @param {Array} elements - Elements to read, most specific first
+ * @returns {Object} Metadata as { difficulty, audience }
  */
-function getResultPath(result) {
-    const currentPath = window.location.pathname;
-    const pathParts = currentPath.split('/').filter(part => part);
-    
-    if (pathParts.length > 0) {
-        return pathParts.join(' › ');
-    }
+function readContentMetadata(elements) {
+    let difficulty = '';
+    const audience = new Set();
+    
+    elements.forEach(function(element) {
+        const classValues = function(prefix) {
+            return Array.from(element.classList)
+                .filter(className => className.startsWith(prefix))
+                .map(className => className.substring(prefix.length));
+        };
+        
+        const difficulties = parseTagList(element.getAttribute('data-difficulty')).concat(classValues('difficulty-'));
+        if (!difficulty) {
+            difficulty = difficulties.find(level => CONTENT_FILTER_DIFFICULTIES.includes(level)) || '';
+        }
+        
+        parseTagList(element.getAttribute('data-audience')).concat(classValues('audience-')).forEach(function(name) {
+            if (CONTENT_AUDIENCES.includes(name)) audience.add(name);
+        });
+    });
     
-    return 'Documentation';
+    return { difficulty: difficulty, audience: Array.from(audience) };
 }
 
 /**
- * Navigate to search result
- * @param {Object} result - Search result
+ * Estimate the difficulty of a section, see DIFFICULTY_SCORING
+ * @param {Object} section - Result of getContentSections()
+ * @returns {string} Difficulty level
  */
-function navigateToResult(result) {
-    if (result.url.startsWith('#')) {
-        // Internal anchor link
-        const target = document.querySelector(result.url);
-        if (target) {
-            target.scrollIntoView({ behavior: 'smooth', block: 'start' });
-            
-            // Highlight the target briefly
-            target.style.backgroundColor = 'rgba(255, 235, 59, 0.3)';
-            setTimeout(function() {
-                target.style.backgroundColor = '';
-            }, 2000);
+function scoreSectionDifficulty(section) {
+    let commands = 0;
+    let codeLines = 0;
+    
+    querySectionAll(section, 'pre code').forEach(function(code) {
+        const lines = code.textContent.split('\n').filter(line => line.trim());
+        codeLines += lines.length;
+        
+        if (SHELL_LANGUAGES.includes(getCodeBlockLanguage(code))) {
+            commands += lines.filter(line => !line.trim().startsWith('#')).length;
         }
-    } else {
-        // External link
-        window.location.href = result.url;
-    }
+    });
+    
+    const score = commands * DIFFICULTY_SCORING.commandWeight +
+        codeLines * DIFFICULTY_SCORING.codeLineWeight +
+        countPrerequisites(section) * DIFFICULTY_SCORING.prerequisiteWeight;
+    
+    if (score >= DIFFICULTY_SCORING.advanced) return 'advanced';
+    if (score >= DIFFICULTY_SCORING.intermediate) return 'intermediate';
+    return 'beginner';
 }
 
 /**
- * Show no results message
- * @param {string} query - Search query
+ * Count the items of prerequisite lists in a section
+ * @param {Object} section - Result of getContentSections()
+ * @returns {number} Number of prerequisites
  */
-function showNoResults(query) {
-    const resultsContainer = document.querySelector('.search-results-container');
-    if (!resultsContainer) return;
+function countPrerequisites(section) {
+    let count = 0;
     
-    const noResults = document.createElement('div');
-    noResults.className = 'no-results';
-    noResults.innerHTML = `
-        <div class="no-results-icon">🔍</div>
-        <div class="no-results-title">No results found</div>
-        <div class="no-results-message">
-            No results found for "<strong>${escapeHtml(query)}</strong>".<br>
-            Try different keywords or check the suggestions below.
-        </div>
-    `;
+    querySectionAll(section, 'h1, h2, h3, h4, h5, h6, p').forEach(function(element) {
+        if (!PREREQUISITES_PATTERN.test(element.textContent)) return;
+        
+        // The list follows the heading, possibly after a lead-in paragraph
+        let sibling = element.nextElementSibling;
+        for (let step = 0; sibling && step < 2; step++) {
+            if (/^(UL|OL)$/.test(sibling.tagName)) {
+                count += sibling.querySelectorAll(':scope > li').length;
+                break;
+            }
+            if (/^H[1-6]$/.test(sibling.tagName)) break;
+            sibling = sibling.nextElementSibling;
+        }
+    });
     
-    resultsContainer.insertBefore(noResults, resultsContainer.firstChild);
-    resultsContainer.classList.add('active');
+    return count;
 }
 
 /**
- * Hide search results
+ * Initialize change tracking: mark headings added or modified recently,
+ * according to the page history manifest
  */
-function hideSearchResults() {
-    const resultsContainer = document.querySelector('.search-results-container');
-    if (resultsContainer) {
-        resultsContainer.classList.remove('active');
-    }
+function initializeChangeTracking() {
+    loadPageHistory().then(forCurrentPage(function(history) {
+        if (history && history.headings) {
+            addHistoryChangeIndicators(history);
+        }
+        
+        // Runs after the history badges so it can reuse them as diff toggles
+        initializeSinceLastVisit();
+    }));
 }
 
 /**
- * Update selected search result
- * @param {NodeList} resultItems - Result item elements
+ * Add "Added"/"Modified" badges to headings changed recently
+ * @param {Object} history - History of the current page
  */
-function updateSelectedResult(resultItems) {
-    resultItems.forEach(function(item, index) {
-        if (index === selectedIndex) {
-            item.classList.add('highlighted');
-            item.setAttribute('aria-selected', 'true');
-            item.scrollIntoView({ block: 'nearest' });
-        } else {
-            item.classList.remove('highlighted');
-            item.setAttribute('aria-selected', 'false');
-        }
+function addHistoryChangeIndicators(history) {
+    Object.keys(history.headings).forEach(function(id) {
+        const change = history.headings[id];
+        const heading = document.getElementById(id);
+        
+        // The page heading carries the page-level "Updated" badge instead
+        if (!heading || !/^H[2-6]$/.test(heading.tagName) || !isRecentChange(change)) return;
+        
+        const changeType = change.change === 'added' ? 'added' : 'modified';
+        const label = translate('history.' + changeType);
+        const changeIndicator = document.createElement('span');
+        changeIndicator.className = `change-indicator ${changeType}`;
+        changeIndicator.textContent = label;
+        changeIndicator.setAttribute('title', describeChange(change, label));
+        
+        heading.appendChild(changeIndicator);
     });
 }
 
 /**
- * Initialize content filtering and tagging
+ * localStorage key holding the section snapshots of recently read pages
  */
-function initializeContentFiltering() {
-    // Add content tags to sections
-    addContentTags();
+const SECTION_SNAPSHOT_KEY = 'enhanced-section-snapshots';
+
+/**
+ * Number of pages whose snapshots are kept
+ */
+const SECTION_SNAPSHOT_PAGE_LIMIT = 20;
+
+/**
+ * Elements added by these enhancements, left out of section snapshots
+ * so only the documentation text is compared
+ */
+const SECTION_SNAPSHOT_IGNORED = [
+    '.headerlink',
+    '.copy-button',
+    '.copy-control',
+    '.code-download-button',
+    '.code-files-download',
+    '.code-expand-toggle',
+    '.environment-toggle',
+    '.environment-profile',
+    '.content-tags',
+    '.content-category',
+    '.content-audience',
+    '.change-indicator',
+    '.updated-indicator',
+    '.loading-skeleton',
+    '.since-last-visit-diff',
+    '.cross-reference',
+    '.sr-only'
+].join(', ');
+
+/**
+ * Unchanged words kept around each change in the diff panel
+ */
+const DIFF_CONTEXT_WORDS = 8;
+
+/**
+ * Highlight sections whose text changed since the reader last left this page,
+ * with a word-level diff toggled from the section's change badge
+ */
+function initializeSinceLastVisit() {
+    const pageKey = getCurrentPageKey();
+    const snapshots = loadSectionSnapshots();
+    const previous = snapshots[pageKey];
+    const current = getSectionSnapshots();
+    
+    if (previous) {
+        Object.keys(current).forEach(function(id) {
+            const before = previous.sections[id];
+            if (before && before.hash === current[id].hash) return;
+            
+            markChangedSinceLastVisit(document.getElementById(id), before ? before.text : '', current[id].text, previous.visited);
+        });
+    }
     
-    // Create filter controls
-    createFilterControls();
+    // Remember what was read once the reader leaves the page. Instant navigation
+    // swaps the content before teardown, so the sections are the ones read on arrival.
+    const rememberSections = function() {
+        const stored = loadSectionSnapshots();
+        stored[pageKey] = { visited: new Date().toISOString(), sections: current };
+        saveSectionSnapshots(stored);
+    };
     
-    // Setup filtering functionality
-    setupFilterFunctionality();
+    listenUntilTeardown(window, 'pagehide', rememberSections);
+    onPageTeardown(rememberSections);
 }
 
 /**
- * Add content tags to sections
+ * Snapshot the text of every section: a heading and the content up to the next heading
+ * @returns {Object} Snapshots as { [headingId]: { hash, text } }
  */
-function addContentTags() {
-    const sections = document.querySelectorAll('.md-typeset > div, .md-typeset > section');
+function getSectionSnapshots() {
+    const snapshots = {};
     
-    sections.forEach(function(section) {
-        const heading = section.querySelector('h1, h2, h3, h4, h5, h6');
-        if (!heading) return;
-        
-        const tags = extractTagsFromContent(section);
-        if (tags.length > 0) {
-            const tagContainer = document.createElement('div');
-            tagContainer.className = 'content-tags';
-            
-            tags.forEach(function(tag) {
-                const tagElement = document.createElement('span');
-                tagElement.className = 'content-tag';
-                tagElement.textContent = tag;
-                tagElement.setAttribute('data-tag', tag);
-                tagContainer.appendChild(tagElement);
-            });
-            
-            heading.parentNode.insertBefore(tagContainer, heading.nextSibling);
-        }
+    document.querySelectorAll('.md-typeset h1[id], .md-typeset h2[id], .md-typeset h3[id], .md-typeset h4[id], .md-typeset h5[id], .md-typeset h6[id]').forEach(function(heading) {
+        const text = getSectionText(heading);
+        snapshots[heading.id] = { hash: hashSearchText(text), text: text };
     });
+    
+    return snapshots;
 }
 
 /**
- * Extract tags from content
- * @param {Element} section - Content section
- * @returns {Array} Array of tags
+ * Text of a section: its heading and the content up to the next heading
+ * @param {Element} heading - Section heading
+ * @param {boolean} includeSubsections - Continue through lower-level headings
+ * @returns {string} Section text without the elements added by these enhancements
  */
-function extractTagsFromContent(section) {
-    const text = section.textContent.toLowerCase();
-    const tags = [];
-    
-    // Define tag mappings
-    const tagMappings = {
-        'configuration': ['config', 'setup', 'settings', 'properties'],
-        'database': ['postgresql', 'sql', 'migration', 'connection'],
-        'docker': ['container', 'compose', 'dockerfile', 'image'],
-        'troubleshooting': ['error', 'problem', 'issue', 'debug', 'fix'],
-        'environment': ['dev', 'staging', 'production', 'env'],
-        'security': ['auth', 'authentication', 'authorization', 'ssl', 'tls'],
-        'performance': ['optimization', 'cache', 'speed', 'memory'],
-        'api': ['endpoint', 'rest', 'json', 'request', 'response']
-    };
-    
-    Object.keys(tagMappings).forEach(function(tag) {
-        const keywords = [tag, ...tagMappings[tag]];
-        if (keywords.some(keyword => text.includes(keyword))) {
-            tags.push(tag);
+function getSectionText(heading, includeSubsections = false) {
+    const level = Number(heading.tagName.charAt(1));
+    const endsSection = element => /^H[1-6]$/.test(element.tagName) &&
+        (!includeSubsections || Number(element.tagName.charAt(1)) <= level);
+    const parts = [getSnapshotText(heading)];
+    
+    let sibling = heading.nextElementSibling;
+    while (sibling && !endsSection(sibling)) {
+        if (!sibling.matches(SECTION_SNAPSHOT_IGNORED)) {
+            parts.push(getSnapshotText(sibling));
         }
-    });
+        sibling = sibling.nextElementSibling;
+    }
     
-    return tags;
+    return parts.join(' ').replace(/\s+/g, ' ').trim();
 }
 
 /**
- * Create filter controls
+ * Text of an element without the elements added by these enhancements
+ * @param {Element} element - Content element
+ * @returns {string} Text content
  */
-function createFilterControls() {
-    const filterHTML = `
-        <div class="filter-controls">
-            <div class="filter-group">
-                <label class="filter-label" for="category-filter">Category:</label>
-                <select id="category-filter" class="filter-select">
-                    <option value="">All Categories</option>
-                    <option value="configuration">Configuration</option>
-                    <option value="database">Database</option>
-                    <option value="docker">Docker</option>
-                    <option value="troubleshooting">Troubleshooting</option>
-                    <option value="environment">Environment</option>
-                    <option value="security">Security</option>
-                    <option value="performance">Performance</option>
-                    <option value="api">API</option>
-                </select>
-            </div>
-            <div class="filter-group">
-                <label class="filter-label" for="difficulty-filter">Difficulty:</label>
-                <select id="difficulty-filter" class="filter-select">
-                    <option value="">All Levels</option>
-                    <option value="beginner">Beginner</option>
-                    <option value="intermediate">Intermediate</option>
-                    <option value="advanced">Advanced</option>
-                </select>
-            </div>
-            <button class="clear-filters" type="button">Clear Filters</button>
-        </div>
-    `;
+function getSnapshotText(element) {
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll(SECTION_SNAPSHOT_IGNORED).forEach(node => node.remove());
     
-    const contentArea = document.querySelector('.md-content__inner');
-    if (contentArea) {
-        const searchContainer = contentArea.querySelector('.enhanced-search-container');
-        if (searchContainer) {
-            searchContainer.insertAdjacentHTML('afterend', filterHTML);
-        }
-    }
+    // Compare the documented placeholders, not the reader's environment values
+    clone.querySelectorAll('.environment-value').forEach(mark => mark.replaceWith(mark.getAttribute('data-raw')));
+    return clone.textContent;
 }
 
 /**
- * Setup filtering functionality
+ * Load stored section snapshots
+ * @returns {Object} Snapshots by page key, as { visited, sections }
  */
-function setupFilterFunctionality() {
-    const categoryFilter = document.getElementById('category-filter');
-    const difficultyFilter = document.getElementById('difficulty-filter');
-    const clearFiltersBtn = document.querySelector('.clear-filters');
-    const contentTags = document.querySelectorAll('.content-tag');
-    
-    // Filter change handlers
-    if (categoryFilter) {
-        categoryFilter.addEventListener('change', applyFilters);
-    }
-    
-    if (difficultyFilter) {
-        difficultyFilter.addEventListener('change', applyFilters);
-    }
-    
-    // Clear filters handler
-    if (clearFiltersBtn) {
-        clearFiltersBtn.addEventListener('click', function() {
-            if (categoryFilter) categoryFilter.value = '';
-            if (difficultyFilter) difficultyFilter.value = '';
-            
-            contentTags.forEach(function(tag) {
-                tag.classList.remove('active');
-            });
-            
-            applyFilters();
-        });
+function loadSectionSnapshots() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SECTION_SNAPSHOT_KEY));
+        if (stored && typeof stored === 'object') {
+            return stored;
+        }
+    } catch (err) {
+        // Storage disabled or corrupted: treat every page as unread
     }
     
-    // Tag click handlers
-    contentTags.forEach(function(tag) {
-        tag.addEventListener('click', function() {
-            const tagValue = this.getAttribute('data-tag');
-            
-            // Toggle tag active state
-            this.classList.toggle('active');
-            
-            // Update category filter if tag is selected
-            if (this.classList.contains('active') && categoryFilter) {
-                categoryFilter.value = tagValue;
-            }
-            
-            applyFilters();
-        });
-    });
+    return {};
 }
 
 /**
- * Apply content filters
+ * Persist section snapshots, keeping only the most recently read pages
+ * @param {Object} snapshots - Snapshots by page key
  */
-function applyFilters() {
-    const categoryFilter = document.getElementById('category-filter');
-    const difficultyFilter = document.getElementById('difficulty-filter');
+function saveSectionSnapshots(snapshots) {
+    const pages = Object.keys(snapshots)
+        .sort((a, b) => String(snapshots[b].visited).localeCompare(String(snapshots[a].visited)))
+        .slice(0, SECTION_SNAPSHOT_PAGE_LIMIT);
+    const kept = {};
+    pages.forEach(page => { kept[page] = snapshots[page]; });
     
-    const selectedCategory = categoryFilter ? categoryFilter.value : '';
-    const selectedDifficulty = difficultyFilter ? difficultyFilter.value : '';
-    
-    const sections = document.querySelectorAll('.md-typeset > div, .md-typeset > section');
-    
-    sections.forEach(function(section) {
-        let visible = true;
-        
-        // Category filter
-        if (selectedCategory) {
-            const sectionTags = section.querySelectorAll('.content-tag');
-            const hasCategory = Array.from(sectionTags).some(tag => 
-                tag.getAttribute('data-tag') === selectedCategory
-            );
-            if (!hasCategory) visible = false;
-        }
-        
-        // Difficulty filter
-        if (selectedDifficulty) {
-            const difficultyIndicator = section.querySelector('.content-category.' + selectedDifficulty);
-            if (!difficultyIndicator) visible = false;
-        }
-        
-        // Apply visibility
-        section.style.display = visible ? '' : 'none';
-    });
-    
-    // Announce filter results to screen readers
-    const visibleSections = Array.from(sections).filter(section => 
-        section.style.display !== 'none'
-    ).length;
-    
-    announceToScreenReader(`Showing ${visibleSections} sections after filtering`);
+    try {
+        localStorage.setItem(SECTION_SNAPSHOT_KEY, JSON.stringify(kept));
+    } catch (err) {
+        console.warn('Unable to save section snapshots: ', err);
+    }
 }
 
 /**
- * Initialize recently updated indicators
+ * Highlight a changed section and let its change badge toggle a diff panel
+ * @param {Element} heading - Section heading
+ * @param {string} before - Section text at the last visit, empty for new sections
+ * @param {string} after - Current section text
+ * @param {string} visited - ISO date of the last visit
  */
-function initializeRecentlyUpdatedIndicators() {
-    // This would typically integrate with a CMS or git history
-    // For demo purposes, we'll mark some content as recently updated
+function markChangedSinceLastVisit(heading, before, after, visited) {
+    heading.classList.add('changed-since-last-visit');
+    
+    let badge = heading.querySelector('.change-indicator');
+    if (!badge) {
+        const changeType = before ? 'modified' : 'added';
+        badge = document.createElement('span');
+        badge.className = `change-indicator ${changeType}`;
+        badge.textContent = translate('history.' + changeType);
+        heading.appendChild(badge);
+    }
     
-    const headings = document.querySelectorAll('h2, h3');
-    const recentlyUpdatedCount = Math.min(3, headings.length);
+    const panel = createDiffPanel(before, after, visited);
+    panel.id = 'since-last-visit-' + heading.id;
+    heading.parentNode.insertBefore(panel, heading.nextSibling);
+    
+    badge.classList.add('since-last-visit');
+    badge.setAttribute('role', 'button');
+    badge.setAttribute('tabindex', '0');
+    badge.setAttribute('aria-expanded', 'false');
+    badge.setAttribute('aria-controls', panel.id);
+    badge.setAttribute('title', translate('visit.badgeTitle', { date: formatRelativeDate(visited) }));
+    
+    const toggle = function(e) {
+        e.preventDefault();
+        panel.hidden = !panel.hidden;
+        badge.setAttribute('aria-expanded', String(!panel.hidden));
+    };
     
-    for (let i = 0; i < recentlyUpdatedCount; i++) {
-        const heading = headings[i];
-        const indicator = document.createElement('span');
-        indicator.className = 'updated-indicator';
-        indicator.textContent = 'Updated';
-        indicator.setAttribute('title', 'Recently updated content');
-        
-        heading.appendChild(indicator);
-        heading.classList.add('recently-updated');
-    }
+    badge.addEventListener('click', toggle);
+    badge.addEventListener('keydown', function(e) {
+        if (e.key === 'Enter' || e.key === ' ') toggle(e);
+    });
 }
 
 /**
- * Initialize content categorization
+ * Create the word-level diff panel of a section
+ * @param {string} before - Previous text
+ * @param {string} after - Current text
+ * @param {string} visited - ISO date of the last visit
+ * @returns {Element} Hidden panel
  */
-function initializeContentCategorization() {
-    const sections = document.querySelectorAll('.md-typeset > div, .md-typeset > section');
-    
-    sections.forEach(function(section, index) {
-        const heading = section.querySelector('h1, h2, h3, h4, h5, h6');
-        if (!heading) return;
+function createDiffPanel(before, after, visited) {
+    const panel = document.createElement('div');
+    panel.className = 'since-last-visit-diff';
+    panel.hidden = true;
+    
+    const summary = document.createElement('p');
+    summary.className = 'since-last-visit-summary';
+    summary.textContent = translate('visit.summary', { date: formatRelativeDate(visited) });
+    panel.appendChild(summary);
+    
+    const text = document.createElement('p');
+    text.className = 'since-last-visit-text';
+    
+    const operations = diffWords(before ? before.split(' ') : [], after.split(' '));
+    const keep = operations.map(function(operation, index) {
+        // Unchanged words are shown only near a change
+        if (operation.type !== 'equal') return true;
         
-        // Assign difficulty based on content complexity (simplified logic)
-        const text = section.textContent.toLowerCase();
-        let difficulty = 'beginner';
-        
-        if (text.includes('advanced') || text.includes('complex') || text.includes('production')) {
-            difficulty = 'advanced';
-        } else if (text.includes('configuration') || text.includes('setup') || text.includes('docker')) {
-            difficulty = 'intermediate';
+        const start = Math.max(0, index - DIFF_CONTEXT_WORDS);
+        return operations.slice(start, index + DIFF_CONTEXT_WORDS + 1).some(other => other.type !== 'equal');
+    });
+    
+    operations.forEach(function(operation, index) {
+        if (!keep[index]) {
+            // One ellipsis per run of skipped words, a leading run included
+            if (index === 0 || keep[index - 1]) text.appendChild(document.createTextNode('… '));
+            return;
         }
         
-        const categoryBadge = document.createElement('span');
-        categoryBadge.className = `content-category ${difficulty}`;
-        categoryBadge.textContent = difficulty;
-        categoryBadge.setAttribute('title', `Difficulty level: ${difficulty}`);
+        const word = operation.type === 'equal' ?
+            document.createTextNode(operation.word) :
+            document.createElement(operation.type === 'insert' ? 'ins' : 'del');
+        if (operation.type !== 'equal') word.textContent = operation.word;
         
-        heading.insertBefore(categoryBadge, heading.firstChild);
+        text.appendChild(word);
+        text.appendChild(document.createTextNode(' '));
     });
+    
+    panel.appendChild(text);
+    return panel;
 }
 
 /**
- * Initialize change tracking
+ * Word-level diff using the longest common subsequence. Very large changes
+ * fall back to replacing the whole differing middle part.
+ * @param {Array} before - Previous words
+ * @param {Array} after - Current words
+ * @returns {Array} Operations as { type: "equal"|"delete"|"insert", word }
  */
-function initializeChangeTracking() {
-    // This would typically integrate with version control
-    // For demo purposes, we'll add some change indicators
+function diffWords(before, after) {
+    let prefix = 0;
+    while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) prefix++;
     
-    const sections = document.querySelectorAll('.md-typeset > div, .md-typeset > section');
-    const changeTypes = ['added', 'modified'];
+    let suffix = 0;
+    while (suffix < before.length - prefix && suffix < after.length - prefix &&
+        before[before.length - 1 - suffix] === after[after.length - 1 - suffix]) suffix++;
     
-    sections.forEach(function(section, index) {
-        if (index < 2) { // Mark first two sections as changed
-            const heading = section.querySelector('h1, h2, h3, h4, h5, h6');
-            if (!heading) return;
-            
-            const changeType = changeTypes[index % changeTypes.length];
-            const changeIndicator = document.createElement('span');
-            changeIndicator.className = `change-indicator ${changeType}`;
-            changeIndicator.textContent = changeType.charAt(0).toUpperCase() + changeType.slice(1);
-            changeIndicator.setAttribute('title', `Content ${changeType} recently`);
-            
-            heading.appendChild(changeIndicator);
+    const oldWords = before.slice(prefix, before.length - suffix);
+    const newWords = after.slice(prefix, after.length - suffix);
+    const middle = [];
+    
+    if (oldWords.length * newWords.length > 250000) {
+        oldWords.forEach(word => middle.push({ type: 'delete', word: word }));
+        newWords.forEach(word => middle.push({ type: 'insert', word: word }));
+    } else {
+        // lengths[i][j] = LCS length of oldWords[i:] and newWords[j:]
+        const lengths = Array.from({ length: oldWords.length + 1 }, () => new Uint16Array(newWords.length + 1));
+        for (let i = oldWords.length - 1; i >= 0; i--) {
+            for (let j = newWords.length - 1; j >= 0; j--) {
+                lengths[i][j] = oldWords[i] === newWords[j] ?
+                    lengths[i + 1][j + 1] + 1 :
+                    Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
         }
-    });
+        
+        let i = 0;
+        let j = 0;
+        while (i < oldWords.length || j < newWords.length) {
+            if (i < oldWords.length && j < newWords.length && oldWords[i] === newWords[j]) {
+                middle.push({ type: 'equal', word: oldWords[i] });
+                i++;
+                j++;
+            } else if (i < oldWords.length && (j === newWords.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+                middle.push({ type: 'delete', word: oldWords[i++] });
+            } else {
+                middle.push({ type: 'insert', word: newWords[j++] });
+            }
+        }
+    }
+    
+    return before.slice(0, prefix).map(word => ({ type: 'equal', word: word }))
+        .concat(middle)
+        .concat(after.slice(after.length - suffix).map(word => ({ type: 'equal', word: word })));
 }
 
 /**
@@ -2121,4 +5795,30 @@ function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
     return div.innerHTML;
-}
\ No newline at end of file
+}
+
+// Public API. The `initialize*` functions are kept from the former API for
+// existing callers; new features should use registerFeature.
+window.EnhancedFeatures = {
+    registerFeature,
+    isFeatureEnabled,
+    getFeatures,
+    ...createLegacyFeatureExports(),
+    announceToScreenReader,
+    debounce,
+    throttle,
+    copyCodeToClipboard
+};
+
+/**
+ * Set up the features of every page. With `navigation.instant`, Material for
+ * MkDocs swaps pages without a reload and emits each one on `document$`
+ * (the first page included); otherwise the page is set up once the DOM is ready.
+ * Subscribed last: `document$` may emit right away, and the page state,
+ * constants and registered features must all exist by then.
+ */
+if (typeof document$ !== 'undefined') {
+    document$.subscribe(handlePageChange);
+} else {
+    document.addEventListener('DOMContentLoaded', handlePageChange);
+}
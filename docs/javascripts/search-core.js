@@ -0,0 +1,1018 @@
+/**
+ * Search Core for Manager Product Service Documentation
+ * Tokenization, ranking and index caching shared by the page and the search worker.
+ * Must not touch the DOM: it also runs inside search-worker.js.
+ */
+
+/**
+ * Token separator mirroring the `search` plugin `separator` in mkdocs.yml
+ */
+const SEARCH_SEPARATOR = /[\s\u200b\-_,:!=\[\]()"`/]+|\.(?!\d)|&[lg]t;|(?!\b)(?=[A-Z][a-z])/;
+
+/**
+ * BM25 ranking parameters and field/match weights
+ */
+const SEARCH_RANKING = {
+    k1: 1.2,
+    b: 0.75,
+    titleBoost: 3,
+    headingBoost: 1.2,
+    exactWeight: 1,
+    prefixWeight: 0.8,
+    fuzzyWeight: 0.6
+};
+
+/**
+ * Light stemming rules for the `pt` and `en` search languages, applied to
+ * folded tokens: first one plural rule, then one suffix rule. A rule only
+ * applies when the stem left has a vowel and at least its minimum length
+ * (3 by default), so "spring" and "string" keep their "ing".
+ */
+const SEARCH_STEM_RULES = {
+    plural: [
+        [/coes$/, 'cao'],
+        [/oes$/, 'ao'],
+        [/aes$/, 'ao'],
+        [/ais$/, 'al'],
+        [/eis$/, 'el'],
+        [/ois$/, 'ol'],
+        [/ies$/, 'y'],
+        [/sses$/, 'ss'],
+        [/([^su])s$/, '$1']
+    ],
+    suffix: [
+        [/mente$/, ''],
+        [/ing$/, '', 4],
+        [/ed$/, '', 4],
+        [/e$/, '']
+    ]
+};
+
+/**
+ * Fold a token for comparison: Unicode-normalize, strip diacritics, lowercase
+ * @param {string} token - Raw token
+ * @returns {string} Folded token
+ */
+function foldSearchToken(token) {
+    return token.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Reduce a folded token to its light stem
+ * @param {string} token - Folded token
+ * @returns {string} Stemmed token
+ */
+function stemSearchToken(token) {
+    let stem = token;
+    
+    ['plural', 'suffix'].forEach(function(step) {
+        const rule = SEARCH_STEM_RULES[step].find(([pattern]) => pattern.test(stem));
+        if (rule) {
+            const candidate = stem.replace(rule[0], rule[1]);
+            if (candidate.length >= (rule[2] || 3) && /[aeiouy]/.test(candidate)) stem = candidate;
+        }
+    });
+    
+    return stem;
+}
+
+/**
+ * Locate search tokens in text, keeping their offsets in the original string
+ * so matches can be highlighted on the unmodified (accented) text
+ * @param {string} text - Text to tokenize
+ * @returns {Array} Tokens as { start, end, key } where key is folded and stemmed
+ */
+function findSearchTokens(text) {
+    // The plugin tokenizes escaped HTML, so angle brackets separate tokens too
+    const separator = new RegExp(SEARCH_SEPARATOR.source + '|[<>]', 'g');
+    const tokens = [];
+    let start = 0;
+    let match;
+    
+    const pushToken = function(end) {
+        if (end > start) {
+            tokens.push({ start, end, key: stemSearchToken(foldSearchToken(text.slice(start, end))) });
+        }
+    };
+    
+    while ((match = separator.exec(text)) !== null) {
+        pushToken(match.index);
+        start = match.index + match[0].length;
+        
+        // Zero-width camelCase splits would otherwise loop forever
+        if (match[0].length === 0) separator.lastIndex++;
+    }
+    pushToken(text.length);
+    
+    return tokens;
+}
+
+/**
+ * Split text into normalized search terms
+ * @param {string} text - Text to tokenize
+ * @returns {Array} Array of folded, stemmed terms
+ */
+function tokenizeSearchText(text) {
+    return findSearchTokens(text).map(token => token.key);
+}
+
+/**
+ * Check whether a token key matches any highlighted term
+ * @param {string} key - Folded, stemmed token
+ * @param {Array} terms - Terms to match
+ * @returns {boolean} True when the token should be highlighted
+ */
+function tokenMatchesTerms(key, terms) {
+    return terms.some(term => key === term || (term.length >= 2 && key.startsWith(term)));
+}
+
+/**
+ * Count token occurrences
+ * @param {Array} tokens - Tokens to count
+ * @returns {Map} Map of token to frequency
+ */
+function countTokens(tokens) {
+    const counts = new Map();
+    tokens.forEach(function(token) {
+        counts.set(token, (counts.get(token) || 0) + 1);
+    });
+    return counts;
+}
+
+/**
+ * Compute term frequencies for one search index entry
+ * @param {Object} item - Search index entry
+ * @returns {Object} Title and content term counts with the weighted length
+ */
+function computeEntryTermStats(item) {
+    const titleTerms = countTokens(tokenizeSearchText(item.title || ''));
+    const contentTokens = tokenizeSearchText(item.content || '');
+    const contentTerms = countTokens(contentTokens);
+    const length = contentTokens.length + (titleTerms.size * SEARCH_RANKING.titleBoost);
+
+    return { titleTerms, contentTerms, length };
+}
+
+/**
+ * Combine per-entry term statistics into index-wide statistics
+ * @param {Array} entries - Results of computeEntryTermStats(), in index order
+ * @returns {Object} Per-entry term frequencies, document frequencies and averages
+ */
+function aggregateSearchIndexStats(entries) {
+    const documentFrequency = new Map();
+    let totalLength = 0;
+
+    entries.forEach(function(entry) {
+        new Set([...entry.titleTerms.keys(), ...entry.contentTerms.keys()]).forEach(function(term) {
+            documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+        });
+        totalLength += entry.length;
+    });
+
+    return {
+        entries: entries,
+        documentFrequency: documentFrequency,
+        averageLength: entries.length > 0 ? totalLength / entries.length : 0,
+        termMatches: new Map()
+    };
+}
+
+/**
+ * Maximum edit distance tolerated for a query term of a given length
+ * @param {string} term - Query term
+ * @returns {number} Allowed number of edits
+ */
+function getAllowedEdits(term) {
+    if (term.length <= 3) return 0;
+    if (term.length <= 6) return 1;
+    return 2;
+}
+
+/**
+ * Levenshtein distance with early exit once the limit is exceeded
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} limit - Maximum distance of interest
+ * @returns {number} Edit distance, or limit + 1 when greater than limit
+ */
+function editDistance(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+
+        if (rowMin > limit) return limit + 1;
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Find index terms matching a query term exactly, by prefix or within edit distance
+ * @param {string} queryTerm - Query term
+ * @param {Object} stats - Search index statistics
+ * @returns {Map} Map of matching index term to match weight
+ */
+function findMatchingTerms(queryTerm, stats) {
+    if (stats.termMatches.has(queryTerm)) {
+        return stats.termMatches.get(queryTerm);
+    }
+
+    const matches = new Map();
+    const allowedEdits = getAllowedEdits(queryTerm);
+
+    stats.documentFrequency.forEach(function(_, term) {
+        if (term === queryTerm) {
+            matches.set(term, SEARCH_RANKING.exactWeight);
+        } else if (queryTerm.length >= 2 && term.startsWith(queryTerm)) {
+            matches.set(term, SEARCH_RANKING.prefixWeight);
+        } else if (allowedEdits > 0) {
+            const distance = editDistance(queryTerm, term, allowedEdits);
+            if (distance <= allowedEdits) {
+                matches.set(term, SEARCH_RANKING.fuzzyWeight / distance);
+            }
+        }
+    });
+
+    stats.termMatches.set(queryTerm, matches);
+    return matches;
+}
+
+/**
+ * Index entry fields that can be filtered with `field:value` query syntax
+ */
+const SEARCH_FILTER_FIELDS = {
+    type: value => ['heading', 'content', 'code'].includes(value),
+    level: value => /^[1-6]$/.test(value)
+};
+
+/**
+ * Parse query syntax: "quoted phrases", -excluded terms and field:value filters
+ * @param {string} query - Raw search query
+ * @returns {Object} Parsed query with terms, phrases, exclusions, filters and free text
+ */
+function parseSearchQuery(query) {
+    const parsed = {
+        terms: [],
+        phrases: [],
+        excludedTerms: [],
+        excludedPhrases: [],
+        filters: [],
+        text: ''
+    };
+    
+    // A closing quote is optional so phrases work while still being typed
+    const pattern = /(-?)"([^"]*)"?|(-?)([^\s"]+)/g;
+    let match;
+    
+    while ((match = pattern.exec(query)) !== null) {
+        if (match[2] !== undefined) {
+            const phrase = match[2].trim();
+            if (phrase) {
+                (match[1] ? parsed.excludedPhrases : parsed.phrases).push(phrase);
+            }
+            continue;
+        }
+        
+        const negated = match[3] === '-';
+        const token = match[4];
+        const filterMatch = /^(\w+):(.+)$/.exec(token);
+        
+        if (filterMatch && SEARCH_FILTER_FIELDS[filterMatch[1].toLowerCase()]) {
+            const field = filterMatch[1].toLowerCase();
+            const values = filterMatch[2].toLowerCase().split(',').filter(SEARCH_FILTER_FIELDS[field]);
+            if (values.length > 0) {
+                parsed.filters.push({ field, values, negated });
+            }
+            continue;
+        }
+        
+        (negated ? parsed.excludedTerms : parsed.terms).push(token);
+    }
+    
+    parsed.text = parsed.terms.concat(parsed.phrases).join(' ');
+    return parsed;
+}
+
+/**
+ * Check whether a key sequence contains a phrase as consecutive tokens
+ * @param {Array} sequence - Token keys of the entry
+ * @param {Array} phrase - Token keys of the phrase
+ * @returns {boolean} True when the phrase occurs in order
+ */
+function containsTokenSequence(sequence, phrase) {
+    if (phrase.length === 0) return false;
+    
+    for (let i = 0; i <= sequence.length - phrase.length; i++) {
+        if (phrase.every((key, offset) => sequence[i + offset] === key)) {
+            return true;
+        }
+    }
+    
+    return false;
+}
+
+/**
+ * Check an index entry against the filters, phrases and exclusions of a query
+ * @param {Object} item - Search index entry
+ * @param {Object} entry - Term statistics for the entry
+ * @param {Object} parsedQuery - Result of parseSearchQuery()
+ * @returns {boolean} True when the entry satisfies every constraint
+ */
+function matchesQueryConstraints(item, entry, parsedQuery) {
+    const filtersMatch = parsedQuery.filters.every(function(filter) {
+        const value = item[filter.field] !== undefined ? String(item[filter.field]) : '';
+        return filter.values.includes(value) !== filter.negated;
+    });
+    
+    if (!filtersMatch) return false;
+    
+    const needsSequence = parsedQuery.phrases.length > 0 ||
+        parsedQuery.excludedTerms.length > 0 ||
+        parsedQuery.excludedPhrases.length > 0;
+    
+    if (!needsSequence) return true;
+    
+    // Token order is only needed for phrases, so compute it lazily
+    if (!entry.sequences) {
+        entry.sequences = [
+            tokenizeSearchText(item.title || ''),
+            tokenizeSearchText(item.content || '')
+        ];
+    }
+    
+    const containsPhrase = function(phrase) {
+        const keys = tokenizeSearchText(phrase);
+        return entry.sequences.some(sequence => containsTokenSequence(sequence, keys));
+    };
+    
+    return parsedQuery.phrases.every(containsPhrase) &&
+        !parsedQuery.excludedTerms.concat(parsedQuery.excludedPhrases).some(containsPhrase);
+}
+
+/**
+ * Lines of context shown around the matching line of a code result
+ */
+const CODE_SNIPPET_CONTEXT = 1;
+
+/**
+ * Find the code line matching the most distinct terms and the lines around it
+ * @param {string} content - Code block text
+ * @param {Array} terms - Matched index terms
+ * @returns {Object} 1-based `line` and `snippet` lines as { number, text }
+ */
+function locateCodeMatch(content, terms) {
+    const lines = content.split('\n');
+    let bestLine = 0;
+    let bestCount = 0;
+    
+    lines.forEach(function(line, lineIndex) {
+        const matched = new Set();
+        findSearchTokens(line).forEach(function(token) {
+            if (tokenMatchesTerms(token.key, terms)) matched.add(token.key);
+        });
+        
+        if (matched.size > bestCount) {
+            bestCount = matched.size;
+            bestLine = lineIndex;
+        }
+    });
+    
+    const first = Math.max(0, bestLine - CODE_SNIPPET_CONTEXT);
+    const last = Math.min(lines.length - 1, bestLine + CODE_SNIPPET_CONTEXT);
+    
+    return {
+        line: bestLine + 1,
+        snippet: lines.slice(first, last + 1).map((text, offset) => ({ number: first + offset + 1, text: text }))
+    };
+}
+
+/**
+ * Rank index entries using BM25 with prefix and typo tolerance.
+ * Supports "quoted phrases", -excluded terms and type:/level: filters.
+ * @param {Array} index - Search index entries
+ * @param {Object} stats - Result of aggregateSearchIndexStats() for the index
+ * @param {string} query - Search query
+ * @param {number} limit - Maximum number of results
+ * @returns {Array} Search results
+ */
+function rankSearchEntries(index, stats, query, limit = 10) {
+    const parsedQuery = parseSearchQuery(query);
+    const queryTerms = Array.from(new Set(tokenizeSearchText(parsedQuery.text)));
+    if (queryTerms.length === 0 && parsedQuery.filters.length === 0) return [];
+    
+    const totalDocs = stats.entries.length;
+    const { k1, b, titleBoost, headingBoost } = SEARCH_RANKING;
+    const termMatches = queryTerms.map(term => findMatchingTerms(term, stats));
+    const results = [];
+    
+    index.forEach(function(item, position) {
+        const entry = stats.entries[position];
+        if (!matchesQueryConstraints(item, entry, parsedQuery)) return;
+        
+        const lengthNorm = 1 - b + b * (entry.length / (stats.averageLength || 1));
+        const matchedTerms = [];
+        let matchedQueryTerms = 0;
+        let score = 0;
+        
+        termMatches.forEach(function(matches) {
+            let bestTermScore = 0;
+            let bestTerm = null;
+            
+            matches.forEach(function(weight, term) {
+                const frequency = (entry.contentTerms.get(term) || 0) +
+                    (entry.titleTerms.get(term) || 0) * titleBoost;
+                if (frequency === 0) return;
+                
+                // Rare terms weigh more than ones found in most entries
+                const docFrequency = stats.documentFrequency.get(term);
+                const idf = Math.log(1 + (totalDocs - docFrequency + 0.5) / (docFrequency + 0.5));
+                const termScore = weight * idf * (frequency * (k1 + 1)) / (frequency + k1 * lengthNorm);
+                
+                if (termScore > bestTermScore) {
+                    bestTermScore = termScore;
+                    bestTerm = term;
+                }
+            });
+            
+            if (bestTerm) {
+                matchedQueryTerms++;
+                matchedTerms.push(bestTerm);
+                score += bestTermScore;
+            }
+        });
+        
+        // Filter-only queries list every entry that passes the filters
+        if (queryTerms.length > 0) {
+            if (matchedQueryTerms === 0) return;
+            
+            // Favour entries that match every query term
+            score *= matchedQueryTerms / queryTerms.length;
+        }
+        
+        // Higher score for headings
+        if (item.type === 'heading') score *= headingBoost;
+        
+        const result = {
+            ...item,
+            score: score,
+            matchedTerms: matchedTerms
+        };
+        
+        // Point code results at the line that matched
+        if (item.type === 'code') {
+            Object.assign(result, locateCodeMatch(item.content, matchedTerms));
+        }
+        
+        results.push(result);
+    });
+    
+    // Sort by score and limit results
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+/**
+ * Stopwords ignored when deriving topics and keywords (pt and en)
+ */
+const SEARCH_STOPWORDS = new Set([
+    'the', 'and', 'for', 'with', 'from', 'this', 'that', 'your', 'are', 'how', 'what', 'when',
+    'into', 'using', 'use', 'not', 'all', 'can', 'will', 'you', 'has', 'have', 'its', 'our',
+    'was', 'were', 'been', 'being', 'but', 'any', 'each', 'only', 'also', 'then', 'than', 'there',
+    'these', 'those', 'which', 'while', 'should', 'must', 'may', 'more', 'most', 'such', 'other',
+    'para', 'com', 'uma', 'dos', 'das', 'nos', 'nas', 'por', 'que', 'como', 'mais', 'sem',
+    'sobre', 'entre', 'seu', 'sua', 'seus', 'suas', 'ser', 'esta', 'este', 'isso', 'pelo', 'pela',
+    'não', 'são', 'foi', 'tem', 'têm', 'quando', 'onde', 'também', 'ainda', 'cada', 'todo', 'toda',
+    'todos', 'todas', 'outro', 'outra', 'deve', 'pode', 'essa', 'esse', 'aqui', 'muito', 'após'
+].map(word => stemSearchToken(foldSearchToken(word))));
+
+/**
+ * Derive popular topics from the most frequent words in indexed headings
+ * @param {Array} index - Search index entries
+ * @param {number} limit - Maximum number of topics
+ * @returns {Array} Topics as { label, query }
+ */
+function computePopularTopics(index, limit = 6) {
+    const topics = new Map();
+    
+    index.forEach(function(item) {
+        if (item.type !== 'heading') return;
+        
+        findSearchTokens(item.title).forEach(function(token) {
+            if (token.key.length < 4 || !/^[a-z]/.test(token.key) || SEARCH_STOPWORDS.has(token.key)) return;
+            
+            const topic = topics.get(token.key) || { count: 0, forms: new Map() };
+            const form = item.title.slice(token.start, token.end);
+            topic.count++;
+            topic.forms.set(form, (topic.forms.get(form) || 0) + 1);
+            topics.set(token.key, topic);
+        });
+    });
+    
+    return Array.from(topics.values())
+        .filter(topic => topic.count > 1)
+        .sort((a, b) => b.count - a.count)
+        .slice(0, limit)
+        .map(function(topic) {
+            // Label each topic with its most common spelling in the headings
+            const form = Array.from(topic.forms.entries()).sort((a, b) => b[1] - a[1])[0][0];
+            const label = form.charAt(0).toUpperCase() + form.slice(1);
+            return { label: label, query: form.toLowerCase() };
+        });
+}
+
+/**
+ * Related topics tuning: tokens shorter than minTokenLength are ignored and
+ * links below minScore (cosine similarity of TF-IDF vectors) are dropped
+ */
+const RELATED_TOPICS = {
+    limit: 3,
+    minScore: 0.12,
+    minTokenLength: 3
+};
+
+/**
+ * Count the topic terms of a text: folded, stemmed tokens without stopwords or numbers
+ * @param {string} text - Section text
+ * @returns {Map} Map of term to frequency
+ */
+function countTopicTerms(text) {
+    return countTokens(tokenizeSearchText(text).filter(function(key) {
+        return key.length >= RELATED_TOPICS.minTokenLength && /^[a-z]/.test(key) && !SEARCH_STOPWORDS.has(key);
+    }));
+}
+
+/**
+ * Build L2-normalized TF-IDF vectors for a set of texts
+ * @param {Array} texts - Texts forming the corpus
+ * @returns {Array} Vectors as Maps of term to weight, in input order
+ */
+function buildTopicVectors(texts) {
+    const counts = texts.map(countTopicTerms);
+    const documentFrequency = new Map();
+    
+    counts.forEach(function(terms) {
+        terms.forEach(function(_, term) {
+            documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+        });
+    });
+    
+    return counts.map(function(terms) {
+        const vector = new Map();
+        let norm = 0;
+        
+        terms.forEach(function(frequency, term) {
+            const idf = Math.log((texts.length + 1) / (documentFrequency.get(term) + 1)) + 1;
+            const weight = (1 + Math.log(frequency)) * idf;
+            vector.set(term, weight);
+            norm += weight * weight;
+        });
+        
+        norm = Math.sqrt(norm) || 1;
+        vector.forEach((weight, term) => vector.set(term, weight / norm));
+        return vector;
+    });
+}
+
+/**
+ * Cosine similarity of two normalized vectors
+ * @param {Map} a - Vector
+ * @param {Map} b - Vector
+ * @returns {number} Similarity between 0 and 1
+ */
+function cosineSimilarity(a, b) {
+    const [smaller, larger] = a.size <= b.size ? [a, b] : [b, a];
+    let dot = 0;
+    smaller.forEach(function(weight, term) {
+        dot += weight * (larger.get(term) || 0);
+    });
+    return dot;
+}
+
+/**
+ * Find sections on other pages related to each section of the current page.
+ * Pinned URLs are listed first; suppressed URLs (a page URL suppresses all its
+ * sections) and every automatic link when `suppressAll` is set are left out.
+ * @param {Array} candidates - Site index entries of other pages
+ * @param {Array} sections - Sections as { id, text, pinned, suppressed, suppressAll }
+ * @param {number} limit - Maximum automatic links per section
+ * @returns {Array} Results as { id, pinned, related } with links as { url, title, pageTitle, score }
+ */
+function computeRelatedTopics(candidates, sections, limit = RELATED_TOPICS.limit) {
+    const vectors = buildTopicVectors(
+        candidates.map(entry => entry.title + ' ' + entry.content).concat(sections.map(section => section.text)));
+    const toLink = entry => ({ url: entry.url, title: entry.title, pageTitle: entry.pageTitle });
+    
+    return sections.map(function(section, sectionIndex) {
+        const sectionVector = vectors[candidates.length + sectionIndex];
+        const suppressed = section.suppressed || [];
+        const pinned = (section.pinned || []).map(function(url) {
+            const entry = candidates.find(candidate => candidate.url === url);
+            return entry ? toLink(entry) : { url: url, title: '', pageTitle: '' };
+        });
+        const excluded = url => pinned.some(link => link.url === url) ||
+            suppressed.some(prefix => url === prefix || (prefix.indexOf('#') === -1 && url.split('#')[0] === prefix));
+        
+        // Keep the best section of each page so links cover several pages
+        const bestByPage = new Map();
+        
+        if (!section.suppressAll) {
+            candidates.forEach(function(entry, candidateIndex) {
+                if (excluded(entry.url)) return;
+                
+                const score = cosineSimilarity(sectionVector, vectors[candidateIndex]);
+                const best = bestByPage.get(entry.pagePath);
+                if (score >= RELATED_TOPICS.minScore && (!best || score > best.score)) {
+                    bestByPage.set(entry.pagePath, Object.assign(toLink(entry), { score: score }));
+                }
+            });
+        }
+        
+        return {
+            id: section.id,
+            pinned: pinned,
+            related: Array.from(bestByPage.values()).sort((a, b) => b.score - a.score).slice(0, limit)
+        };
+    });
+}
+
+/**
+ * Find the heading entry documenting an error code such as DB-001
+ * @param {Array} index - Search index entries
+ * @param {string} code - Upper-case error code
+ * @returns {Object|undefined} Search index entry
+ */
+function findErrorCodeHeading(index, code) {
+    const codePattern = new RegExp('(^|[^\\w-])' + code + '($|[^\\w-])', 'i');
+    const headings = index.filter(item => item.type === 'heading' && codePattern.test(item.title));
+    
+    // Prefer the entry on the current page
+    return headings.find(item => item.url.startsWith('#')) || headings[0];
+}
+
+/**
+ * Normalize a page path so "/a/", "/a/index.html" and "/a" compare equal
+ * @param {string} pathname - URL pathname
+ * @returns {string} Normalized path
+ */
+function normalizePagePath(pathname) {
+    return pathname.replace(/index\.html$/, '').replace(/\/+$/, '');
+}
+
+/**
+ * Named entities found in MkDocs search index text
+ */
+const HTML_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' '
+};
+
+/**
+ * Strip HTML tags and decode common entities with plain string operations,
+ * so it works in a worker where DOMParser is not available
+ * @param {string} html - HTML fragment
+ * @returns {string} Plain text
+ */
+function stripHtmlTags(html) {
+    return html
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, function(entity, name) {
+            if (name.charAt(0) === '#') {
+                const code = name.charAt(1).toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+                return String.fromCodePoint(code);
+            }
+            return HTML_ENTITIES[name.toLowerCase()] !== undefined ? HTML_ENTITIES[name.toLowerCase()] : entity;
+        })
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Convert MkDocs search_index.json documents into search index entries
+ * @param {Object} data - Parsed search_index.json content
+ * @param {string} baseUrl - Absolute URL of the site root
+ * @returns {Array} Search index entries, each with the normalized `pagePath` it belongs to
+ */
+function parseSiteSearchIndex(data, baseUrl) {
+    const docs = (data && data.docs) || [];
+    const pageTitles = new Map();
+    const entries = [];
+
+    // Page-level documents have no anchor and carry the real page title
+    docs.forEach(function(doc) {
+        if (doc.location.indexOf('#') === -1) {
+            pageTitles.set(doc.location, doc.title);
+        }
+    });
+
+    docs.forEach(function(doc) {
+        const url = new URL(doc.location, baseUrl);
+        const pageLocation = doc.location.split('#')[0];
+        const isSection = doc.location.indexOf('#') !== -1;
+        const content = stripHtmlTags(doc.text || '');
+
+        if (!doc.title && !content) return;
+
+        entries.push({
+            type: isSection ? 'heading' : 'content',
+            title: stripHtmlTags(doc.title || ''),
+            content: content || stripHtmlTags(doc.title || ''),
+            url: url.href,
+            pageTitle: pageTitles.get(pageLocation) || stripHtmlTags(doc.title || ''),
+            pagePath: normalizePagePath(url.pathname)
+        });
+    });
+
+    return entries;
+}
+
+/**
+ * IndexedDB database caching tokenized indexes between visits
+ */
+const SEARCH_CACHE_DB = {
+    name: 'enhanced-search-cache',
+    version: 1,
+    store: 'indexes'
+};
+
+/**
+ * Version of the tokenizer and stemmer, part of every cache hash: bump it
+ * when they change so cached term statistics are rebuilt
+ */
+const SEARCH_INDEX_FORMAT = 2;
+
+/**
+ * FNV-1a hash used to tell whether a cached index still matches the build
+ * @param {string} text - Text to hash
+ * @returns {string} Hex hash
+ */
+function hashSearchText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+}
+
+/**
+ * Open the search cache database
+ * @returns {Promise<IDBDatabase|null>} Database, or null when IndexedDB is unavailable or blocked
+ */
+function openSearchCache() {
+    if (typeof indexedDB === 'undefined') {
+        return Promise.resolve(null);
+    }
+
+    return new Promise(function(resolve) {
+        let settled = false;
+        const settle = function(db) {
+            settled = true;
+            resolve(db);
+        };
+
+        const request = indexedDB.open(SEARCH_CACHE_DB.name, SEARCH_CACHE_DB.version);
+        request.onupgradeneeded = function() {
+            request.result.createObjectStore(SEARCH_CACHE_DB.store);
+        };
+        request.onsuccess = function() {
+            // Opened after giving up on a blocked upgrade: nobody uses it
+            if (settled) {
+                request.result.close();
+                return;
+            }
+            settle(request.result);
+        };
+        request.onerror = function() {
+            if (!settled) settle(null);
+        };
+        request.onblocked = function() {
+            // Another tab holds an older version open: search without the cache
+            console.warn('Search cache blocked by another tab');
+            settle(null);
+        };
+    });
+}
+
+/**
+ * Create the search cache connection of a service, opened on first use and
+ * shared by every read and write
+ * @returns {Function} Returns a Promise<IDBDatabase|null>
+ */
+function createSearchCacheConnection() {
+    let connection = null;
+
+    return function() {
+        if (!connection) {
+            connection = openSearchCache().then(function(db) {
+                if (!db) return null;
+
+                // Let a newer version open in another tab, and reopen on next use
+                db.onversionchange = function() {
+                    db.close();
+                    connection = null;
+                };
+                db.onclose = function() {
+                    connection = null;
+                };
+                return db;
+            });
+        }
+        return connection;
+    };
+}
+
+/**
+ * Read a cached index record
+ * @param {IDBDatabase|null} db - Search cache database
+ * @param {string} scope - Page path or "site"
+ * @returns {Promise<Object|null>} Cached record with its build `hash`, or null
+ */
+function readSearchCache(db, scope) {
+    if (!db) return Promise.resolve(null);
+
+    return new Promise(function(resolve) {
+        let request;
+        try {
+            request = db.transaction(SEARCH_CACHE_DB.store, 'readonly')
+                .objectStore(SEARCH_CACHE_DB.store)
+                .get(scope);
+        } catch (err) {
+            // Connection closing for a version change
+            resolve(null);
+            return;
+        }
+        request.onsuccess = function() {
+            resolve(request.result || null);
+        };
+        request.onerror = function() {
+            resolve(null);
+        };
+    });
+}
+
+/**
+ * Store an index record, replacing the previous build for the same scope
+ * @param {IDBDatabase|null} db - Search cache database
+ * @param {string} scope - Page path or "site"
+ * @param {Object} record - Record with its build `hash`
+ * @returns {Promise} Resolves once written (or skipped)
+ */
+function writeSearchCache(db, scope, record) {
+    if (!db) return Promise.resolve();
+
+    return new Promise(function(resolve) {
+        let transaction;
+        try {
+            transaction = db.transaction(SEARCH_CACHE_DB.store, 'readwrite');
+            transaction.objectStore(SEARCH_CACHE_DB.store).put(record, scope);
+        } catch (err) {
+            console.warn('Unable to cache search index: ', err);
+            resolve();
+            return;
+        }
+        transaction.oncomplete = resolve;
+        transaction.onerror = function() {
+            console.warn('Unable to cache search index: ', transaction.error);
+            resolve();
+        };
+    });
+}
+
+/**
+ * Load term statistics from the cache when the build hash matches,
+ * otherwise compute and cache them
+ * @param {Function} openCache - Search cache connection from createSearchCacheConnection()
+ * @param {string} scope - Page path or "site"
+ * @param {string} hash - Build hash of the entries
+ * @param {Function} build - Returns the record to cache when it is missing or stale
+ * @returns {Promise<Object>} Cached or freshly built record
+ */
+function loadCachedSearchRecord(openCache, scope, hash, build) {
+    hash = SEARCH_INDEX_FORMAT + ':' + hash;
+
+    return openCache().then(function(db) {
+        return readSearchCache(db, scope).then(function(cached) {
+            if (cached && cached.hash === hash) {
+                return cached;
+            }
+
+            const record = Object.assign({ hash: hash }, build());
+            return writeSearchCache(db, scope, record).then(() => record);
+        });
+    });
+}
+
+/**
+ * Search service holding the index and its statistics. Runs inside the
+ * search worker, or on the main thread when workers are unavailable.
+ * @returns {Object} Service with a `handle(action, payload)` method
+ */
+function createSearchService() {
+    let pageEntries = [];
+    let pageStats = [];
+    let siteEntries = [];
+    let siteStats = [];
+    let index = [];
+    let stats = aggregateSearchIndexStats([]);
+    let queue = Promise.resolve();
+    const openCache = createSearchCacheConnection();
+
+    const rebuild = function() {
+        index = pageEntries.concat(siteEntries);
+        stats = aggregateSearchIndexStats(pageStats.concat(siteStats));
+    };
+
+    // Serialize index changes and queries so a search never sees a half-built index
+    const enqueue = function(task) {
+        const run = queue.then(task);
+        queue = run.catch(function() {});
+        return run;
+    };
+
+    const actions = {
+        indexPage: function(payload) {
+            const hash = hashSearchText(JSON.stringify(payload.entries));
+
+            return enqueue(function() {
+                return loadCachedSearchRecord(openCache, payload.scope, hash, function() {
+                    return { termStats: payload.entries.map(computeEntryTermStats) };
+                }).then(function(record) {
+                    pageEntries = payload.entries;
+                    pageStats = record.termStats;
+                    rebuild();
+                    return { size: index.length };
+                });
+            });
+        },
+
+        loadSite: function(payload) {
+            // Fetch outside the queue so page searches are not blocked by the network
+            return fetch(payload.url, { credentials: 'same-origin' })
+                .then(function(response) {
+                    if (!response.ok) {
+                        throw new Error('Search index request failed with status ' + response.status);
+                    }
+                    return response.text();
+                })
+                .then(function(text) {
+                    return enqueue(function() {
+                        return loadCachedSearchRecord(openCache, 'site', hashSearchText(payload.baseUrl + text), function() {
+                            const entries = parseSiteSearchIndex(JSON.parse(text), payload.baseUrl);
+                            return { entries: entries, termStats: entries.map(computeEntryTermStats) };
+                        }).then(function(record) {
+                            // The current page is already indexed from its DOM
+                            siteEntries = [];
+                            siteStats = [];
+                            record.entries.forEach(function(entry, position) {
+                                if (entry.pagePath !== payload.currentPath) {
+                                    siteEntries.push(entry);
+                                    siteStats.push(record.termStats[position]);
+                                }
+                            });
+                            rebuild();
+                            return { size: index.length };
+                        });
+                    });
+                });
+        },
+
+        search: function(payload) {
+            return enqueue(() => rankSearchEntries(index, stats, payload.query, payload.limit));
+        },
+
+        topics: function(payload) {
+            return enqueue(() => computePopularTopics(index, payload.limit));
+        },
+
+        errorCode: function(payload) {
+            return enqueue(() => findErrorCodeHeading(index, payload.code));
+        },
+
+        related: function(payload) {
+            return enqueue(() => computeRelatedTopics(siteEntries, payload.sections, payload.limit));
+        }
+    };
+
+    return {
+        handle: function(action, payload) {
+            if (!actions[action]) {
+                return Promise.reject(new Error('Unknown search action: ' + action));
+            }
+            return actions[action](payload || {});
+        }
+    };
+}
@@ -0,0 +1,21 @@
+/**
+ * Search Worker for Manager Product Service Documentation
+ * Builds and queries the search index off the main thread.
+ * Messages are { id, action, payload } and replies are { id, result } or { id, error }.
+ */
+
+importScripts('search-core.js');
+
+const searchService = createSearchService();
+
+self.addEventListener('message', function(event) {
+    const message = event.data || {};
+
+    searchService.handle(message.action, message.payload)
+        .then(function(result) {
+            self.postMessage({ id: message.id, result: result });
+        })
+        .catch(function(error) {
+            self.postMessage({ id: message.id, error: error && error.message ? error.message : String(error) });
+        });
+});
@@ -0,0 +1,258 @@
+/**
+ * Page History Generator for Documentation
+ * Builds the per-page and per-heading last-modified manifest read by
+ * docs/javascripts/enhanced-features.js, using `git blame` on each Markdown page.
+ *
+ * Usage: node scripts/generate-page-history.js [output]
+ * Run it before `mkdocs build` so the manifest is copied into the site.
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const REPO_ROOT = path.resolve(__dirname, '..');
+const DOCS_DIR = path.join(REPO_ROOT, 'docs');
+const DEFAULT_OUTPUT = path.join(DOCS_DIR, 'data', 'page-history.json');
+
+// Lines not committed yet are reported by git blame with this hash
+const UNCOMMITTED_HASH = /^0{40}$/;
+
+/**
+ * Run a git command in the repository
+ */
+function git(args) {
+    return execFileSync('git', args, { cwd: REPO_ROOT, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+}
+
+/**
+ * List Markdown pages under docs/, relative to docs/
+ */
+function listPages(dir = DOCS_DIR) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(function(entry) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) return listPages(fullPath);
+        return entry.name.endsWith('.md') ? [path.relative(DOCS_DIR, fullPath)] : [];
+    });
+}
+
+/**
+ * Site path of a page with directory URLs, without slashes ("" for the home page)
+ */
+function getPageKey(page) {
+    return page
+        .split(path.sep).join('/')
+        .replace(/\.md$/, '')
+        .replace(/(^|\/)(index|README)$/, '')
+        .replace(/\/+$/, '');
+}
+
+/**
+ * Blame every line of a file
+ * @returns {Array} Lines as { text, commit } with commit { hash, time, subject }, or null when uncommitted
+ */
+function blameFile(file) {
+    let output;
+    try {
+        output = git(['blame', '--line-porcelain', '--', file]);
+    } catch (err) {
+        // Untracked file: nothing committed yet
+        return fs.readFileSync(file, 'utf8').split('\n').map(text => ({ text: text, commit: null }));
+    }
+
+    const commits = new Map();
+    const lines = [];
+    let current = null;
+
+    output.split('\n').forEach(function(line) {
+        if (line.startsWith('\t')) {
+            lines.push({ text: line.substring(1), commit: UNCOMMITTED_HASH.test(current.hash) ? null : current });
+            return;
+        }
+
+        const header = /^([0-9a-f]{40}) \d+ \d+/.exec(line);
+        if (header) {
+            if (!commits.has(header[1])) {
+                commits.set(header[1], { hash: header[1], time: 0, subject: '' });
+            }
+            current = commits.get(header[1]);
+        } else if (line.startsWith('committer-time ')) {
+            current.time = Number(line.substring('committer-time '.length));
+        } else if (line.startsWith('summary ')) {
+            current.subject = line.substring('summary '.length);
+        }
+    });
+
+    return lines;
+}
+
+/**
+ * Heading id generated by the toc extension's default slugify
+ */
+function slugify(text) {
+    return text
+        .normalize('NFKD')
+        .replace(/[^\x00-\x7F]/g, '')
+        .replace(/[^\w\s-]/g, '')
+        .trim()
+        .toLowerCase()
+        .replace(/[-\s]+/g, '-');
+}
+
+/**
+ * Plain text of a Markdown heading, as used for its id
+ */
+function getHeadingText(markdown) {
+    return markdown
+        .replace(/\s*\{[^}]*\}\s*$/, '')
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/[*_`~]/g, '')
+        .replace(/<[^>]+>/g, '')
+        .trim();
+}
+
+/**
+ * Find ATX headings outside front matter and fenced code blocks
+ * @returns {Array} Headings as { id, level, line }
+ */
+function findHeadings(lines) {
+    const headings = [];
+    const usedIds = new Map();
+    let fence = null;
+    let start = 0;
+
+    // Skip front matter
+    if (lines[0] && lines[0].text === '---') {
+        const end = lines.findIndex((line, index) => index > 0 && line.text === '---');
+        start = end + 1;
+    }
+
+    for (let index = start; index < lines.length; index++) {
+        const text = lines[index].text;
+        const fenceMatch = /^\s*(`{3,}|~{3,})/.exec(text);
+
+        if (fenceMatch) {
+            if (!fence) {
+                fence = fenceMatch[1];
+            } else if (fenceMatch[1].charAt(0) === fence.charAt(0) && fenceMatch[1].length >= fence.length) {
+                fence = null;
+            }
+            continue;
+        }
+        if (fence) continue;
+
+        const heading = /^(#{1,6})\s+(.+?)\s*#*\s*$/.exec(text);
+        if (!heading) continue;
+
+        // An explicit {#id} from attr_list wins over the generated slug
+        const explicitId = /\{[^}]*#([\w-]+)[^}]*\}\s*$/.exec(heading[2]);
+        let id = explicitId ? explicitId[1] : slugify(getHeadingText(heading[2]));
+        if (!id) continue;
+
+        // Duplicate ids get _1, _2... like the toc extension
+        if (usedIds.has(id)) {
+            const count = usedIds.get(id) + 1;
+            usedIds.set(id, count);
+            id = id + '_' + count;
+        } else {
+            usedIds.set(id, 0);
+        }
+
+        headings.push({ id: id, level: heading[1].length, line: index });
+    }
+
+    return headings;
+}
+
+/**
+ * Latest commit among a range of lines
+ */
+function getLatestCommit(lines) {
+    return lines.reduce(function(latest, line) {
+        return line.commit && (!latest || line.commit.time > latest.time) ? line.commit : latest;
+    }, null);
+}
+
+/**
+ * Manifest entry for a commit
+ */
+function describeCommit(commit, change) {
+    return {
+        updated: new Date(commit.time * 1000).toISOString(),
+        commit: commit.hash.substring(0, 7),
+        subject: commit.subject,
+        change: change
+    };
+}
+
+/**
+ * Build the history of one page. A heading covers the lines up to the next
+ * heading of the same or a higher level; it is "added" when the heading line
+ * comes from the section's latest commit and no line of the section is older,
+ * "modified" otherwise, so editing an old heading does not make it new.
+ */
+function buildPageHistory(page) {
+    const file = path.join(DOCS_DIR, page);
+    const lines = blameFile(file);
+    const latest = getLatestCommit(lines);
+    if (!latest) return null;
+
+    const addedIn = git(['log', '--diff-filter=A', '--format=%H', '--', file]).trim().split('\n').pop();
+    const history = describeCommit(latest, addedIn === latest.hash ? 'added' : 'modified');
+    const headings = findHeadings(lines);
+
+    history.source = path.relative(REPO_ROOT, file).split(path.sep).join('/');
+    history.headings = {};
+
+    headings.forEach(function(heading, index) {
+        const next = headings.slice(index + 1).find(other => other.level <= heading.level);
+        const sectionLines = lines.slice(heading.line, next ? next.line : lines.length);
+        const sectionLatest = getLatestCommit(sectionLines);
+        if (!sectionLatest) return;
+
+        const headingCommit = lines[heading.line].commit;
+        const added = headingCommit && headingCommit.hash === sectionLatest.hash &&
+            sectionLines.every(line => !line.commit || line.commit.time >= headingCommit.time);
+        const change = added ? 'added' : 'modified';
+        history.headings[heading.id] = describeCommit(sectionLatest, change);
+    });
+
+    return history;
+}
+
+/**
+ * Generate the manifest and write it to disk
+ */
+function generatePageHistory(output = DEFAULT_OUTPUT) {
+    const manifest = {
+        generated: new Date().toISOString(),
+        pages: {}
+    };
+
+    listPages().sort().forEach(function(page) {
+        const history = buildPageHistory(page);
+        if (history) {
+            manifest.pages[getPageKey(page)] = history;
+        }
+    });
+
+    fs.mkdirSync(path.dirname(output), { recursive: true });
+    fs.writeFileSync(output, JSON.stringify(manifest, null, 2) + '\n');
+    console.log(`📝 Page history for ${Object.keys(manifest.pages).length} pages written to ${path.relative(REPO_ROOT, output)}`);
+
+    return manifest;
+}
+
+// Export for use in testing environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        generatePageHistory,
+        findHeadings,
+        slugify,
+        getPageKey
+    };
+}
+
+if (require.main === module) {
+    generatePageHistory(process.argv[2] ? path.resolve(process.argv[2]) : DEFAULT_OUTPUT);
+}